@@ -8,6 +8,29 @@ function debounce(func, wait) {
     };
 }
 
+// Resolves after the delay, or rejects with an AbortError as soon as the signal is aborted
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timeout = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function throttle(func, limit) {
     let inThrottle;
     return function(...args) {
@@ -19,13 +42,446 @@ function throttle(func, limit) {
     };
 }
 
-// StorageManager Class: Batches localStorage operations
+// Records the time since started as a performance measure with its budget, replacing the previous entry of that name
+function recordMeasure(name, started, budget) {
+    const finished = performance.now();
+    if (performance.measure) {
+        performance.clearMeasures(name);
+        performance.measure(name, { start: started, end: finished, detail: { budget } });
+    }
+    return finished - started;
+}
+
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Packs { name, content } text files into an uncompressed ZIP archive
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(localParts.concat(centralParts, [new Uint8Array(end.buffer)]), { type: 'application/zip' });
+}
+
+// Longest-common-subsequence diff of two arrays, as a list of equal/delete/insert operations
+function diffSequences(oldItems, newItems, maxCells = 4000000) {
+    let prefix = 0;
+    while (prefix < oldItems.length && prefix < newItems.length && oldItems[prefix] === newItems[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldItems.length - prefix && suffix < newItems.length - prefix &&
+        oldItems[oldItems.length - 1 - suffix] === newItems[newItems.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldItems.slice(prefix, oldItems.length - suffix);
+    const newMiddle = newItems.slice(prefix, newItems.length - suffix);
+    const ops = oldItems.slice(0, prefix).map(value => ({ type: 'equal', value }));
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+
+    if (n * m > maxCells) {
+        // Too large to compare item by item: report the middle as replaced
+        oldMiddle.forEach(value => ops.push({ type: 'delete', value }));
+        newMiddle.forEach(value => ops.push({ type: 'insert', value }));
+    } else {
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                ops.push({ type: 'equal', value: oldMiddle[i++] });
+                j++;
+            } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+                ops.push({ type: 'delete', value: oldMiddle[i++] });
+            } else {
+                ops.push({ type: 'insert', value: newMiddle[j++] });
+            }
+        }
+        while (i < n) ops.push({ type: 'delete', value: oldMiddle[i++] });
+        while (j < m) ops.push({ type: 'insert', value: newMiddle[j++] });
+    }
+
+    oldItems.slice(oldItems.length - suffix).forEach(value => ops.push({ type: 'equal', value }));
+    return ops;
+}
+
+// Lists the text nodes and line breaks of an editable element in reading order, as innerText sees them,
+// with the text offset each one starts at. Line breaks and blocks count as one character.
+function buildTextOffsetMap(root) {
+    const segments = [];
+    const starts = [];
+    const indexes = new Map();
+    let total = 0;
+    const add = (segment) => {
+        indexes.set(segment.node, segments.length);
+        segments.push(segment);
+        starts.push(total);
+        total += segment.length;
+    };
+    const walk = (node) => {
+        node.childNodes.forEach((child, index) => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                if (child.data.length > 0) {
+                    add({ node: child, index, length: child.data.length, type: 'text' });
+                }
+            } else if (child.nodeName === 'BR') {
+                add({ node: child, index, length: 1, type: 'br' });
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                if ((child.nodeName === 'DIV' || child.nodeName === 'P') && segments.length > 0) {
+                    add({ node: child, index, length: 1, type: 'block' });
+                }
+                walk(child);
+            }
+        });
+    };
+    walk(root);
+    return { segments, starts, indexes, length: total };
+}
+
+const textOffsetMaps = new WeakMap();
+
+// The offset map of an element, built once and reused until the element's content changes
+function getTextOffsetMap(root) {
+    let entry = textOffsetMaps.get(root);
+    if (!entry) {
+        entry = { map: null, observer: new MutationObserver(() => { entry.map = null; }) };
+        entry.observer.observe(root, { childList: true, subtree: true, characterData: true });
+        textOffsetMaps.set(root, entry);
+    }
+    // Changes made earlier in this task are not delivered to the observer yet
+    if (entry.observer.takeRecords().length > 0 || !entry.map) {
+        entry.map = buildTextOffsetMap(root);
+    }
+    return entry.map;
+}
+
+function textOffsetFromPoint(root, container, offset) {
+    if (!root.contains(container)) return 0;
+
+    const map = getTextOffsetMap(root);
+    if (container.nodeType === Node.TEXT_NODE && map.indexes.has(container)) {
+        const index = map.indexes.get(container);
+        return map.starts[index] + Math.min(offset, map.segments[index].length);
+    }
+    if (container.nodeName === 'BR' && map.indexes.has(container)) {
+        return map.starts[map.indexes.get(container)];
+    }
+
+    // The point sits right before this node (inside an element) or right after the container (inside a text node).
+    // The first segment from there on in document order starts at the point's offset.
+    let node = container.nodeType !== Node.TEXT_NODE && offset < container.childNodes.length
+        ? container.childNodes[offset]
+        : nextNodeAfter(root, container);
+    while (node && !map.indexes.has(node)) {
+        node = node.firstChild || nextNodeAfter(root, node);
+    }
+    return node ? map.starts[map.indexes.get(node)] : map.length;
+}
+
+// The next node in document order after node and its descendants, or null past the end of root
+function nextNodeAfter(root, node) {
+    while (node && node !== root) {
+        if (node.nextSibling) return node.nextSibling;
+        node = node.parentNode;
+    }
+    return null;
+}
+
+// Points next to a line break are placed in the neighbouring text node when there is one,
+// since an offset among an element's children is slow to resolve in long notes
+function domPointFromTextOffset(root, offset, map = getTextOffsetMap(root)) {
+
+    // The first segment ending at or after the offset
+    let low = 0;
+    let high = map.segments.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (map.starts[middle] + map.segments[middle].length < offset) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    if (low === map.segments.length) {
+        return { node: root, offset: root.childNodes.length };
+    }
+
+    const segment = map.segments[low];
+    const total = map.starts[low];
+    const parent = segment.node.parentNode;
+    if (segment.type === 'text') {
+        return { node: segment.node, offset: offset - total };
+    }
+    if (segment.type === 'br') {
+        const previous = segment.node.previousSibling;
+        const next = segment.node.nextSibling;
+        if (offset === total) {
+            return previous && previous.nodeType === Node.TEXT_NODE
+                ? { node: previous, offset: previous.data.length }
+                : { node: parent, offset: segment.index };
+        }
+        return next && next.nodeType === Node.TEXT_NODE
+            ? { node: next, offset: 0 }
+            : { node: parent, offset: segment.index + 1 };
+    }
+    return offset === total ? { node: parent, offset: segment.index } : { node: segment.node, offset: 0 };
+}
+
+function createRangeFromOffsets(root, start, end = start, map = getTextOffsetMap(root)) {
+    const range = document.createRange();
+    const startPoint = domPointFromTextOffset(root, start, map);
+    const endPoint = domPointFromTextOffset(root, end, map);
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    return range;
+}
+
+function getSelectionOffsets(root) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+
+    return {
+        start: textOffsetFromPoint(root, range.startContainer, range.startOffset),
+        end: textOffsetFromPoint(root, range.endContainer, range.endOffset)
+    };
+}
+
+// Builds ranges for many [start, end] pairs, such as syntax tokens, from one offset map, so each pair is two bisections
+function createRangesFromOffsets(root, pairs) {
+    const map = getTextOffsetMap(root);
+    return pairs.map(([start, end]) => createRangeFromOffsets(root, start, end, map));
+}
+
+function setSelectionOffsets(root, start, end = start) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(createRangeFromOffsets(root, start, end));
+}
+
+function scrollSelectionIntoView(root) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+
+    const range = selection.getRangeAt(0);
+    const rect = range.getClientRects()[0] || range.getBoundingClientRect();
+    const box = root.getBoundingClientRect();
+    if (rect.top < box.top || rect.bottom > box.bottom) {
+        root.scrollTop += rect.top - box.top - box.height / 3;
+    }
+}
+
+// Text offsets of the first and last characters shown in a scrolled element, or null if unknown
+function getVisibleTextOffsets(root) {
+    if (typeof document.caretRangeFromPoint !== 'function') return null;
+
+    const box = root.getBoundingClientRect();
+    if (!box.width || !box.height) return null;
+
+    const offsetAt = (x, y) => {
+        const range = document.caretRangeFromPoint(x, y);
+        return range && root.contains(range.startContainer)
+            ? textOffsetFromPoint(root, range.startContainer, range.startOffset)
+            : null;
+    };
+    const start = offsetAt(box.left + 1, box.top + 1);
+    const end = offsetAt(box.right - 1, box.bottom - 1);
+    if (start === null || end === null) return null;
+    return { start, end };
+}
+
+// StorageManager Class: Batches storage operations into IndexedDB, serving reads from an in-memory cache
 class StorageManager {
+    static dbName = 'browserNotepad';
+    static dbVersion = 4;
+    static storeNames = ['notes', 'aiOutputs', 'history', 'trash', 'aiCache', 'settings'];
+    static db = null;
+    static cache = new Map();
     static pendingWrites = new Map();
     static writeTimeout = null;
+    static changeListeners = new Set();
+    static channel = null;
+    static savedTimes = new Map();
+
+    static async init() {
+        try {
+            this.db = await this.openDatabase();
+            await this.loadCache();
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.error('IndexedDB is unavailable, falling back to localStorage.', error);
+            this.db = null;
+            this.cache.clear();
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel('browser-notepad-storage');
+            this.channel.onmessage = (event) => {
+                this.applyExternalChanges(new Map(event.data.changes), 'broadcast');
+            };
+        }
+
+        window.addEventListener('pagehide', () => this.flushWrites());
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.storeNames.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static storeForKey(key) {
+        if (/^note-\d+$/.test(key)) return 'notes';
+        if (/^note-\d+-(summary|translation|grammar|rewriting|keywords|review)/.test(key)) return 'aiOutputs';
+        if (/^note-\d+-(history|snapshots)$/.test(key)) return 'history';
+        if (/^trash-note-\d+$/.test(key)) return 'trash';
+        if (key.startsWith('aicache-')) return 'aiCache';
+        return 'settings';
+    }
+
+    static loadCache() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeNames, 'readonly');
+            this.storeNames.forEach(name => {
+                const request = transaction.objectStore(name).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        this.cache.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    }
+                };
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Copies every localStorage key into IndexedDB once, and only clears localStorage after the copy committed
+    static async migrateFromLocalStorage() {
+        if (this.cache.get('storageMigrated') === 'true') return;
+
+        const entries = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            entries.push([key, localStorage.getItem(key)]);
+        }
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeNames, 'readwrite');
+            entries.forEach(([key, value]) => {
+                if (!this.cache.has(key)) {
+                    transaction.objectStore(this.storeForKey(key)).put(value, key);
+                }
+            });
+            transaction.objectStore('settings').put('true', 'storageMigrated');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        entries.forEach(([key, value]) => {
+            if (!this.cache.has(key)) {
+                this.cache.set(key, value);
+            }
+            localStorage.removeItem(key);
+        });
+        this.cache.set('storageMigrated', 'true');
+    }
 
     static saveToLocalStorage(key, value) {
-        this.pendingWrites.set(key, value);
+        this.pendingWrites.set(key, String(value));
         
         if (this.writeTimeout) {
             clearTimeout(this.writeTimeout);
@@ -37,73 +493,258 @@ class StorageManager {
     }
 
     static flushWrites() {
-        this.pendingWrites.forEach((value, key) => {
-            localStorage.setItem(key, value);
-        });
-        this.pendingWrites.clear();
+        clearTimeout(this.writeTimeout);
         this.writeTimeout = null;
+        if (this.pendingWrites.size === 0) return;
+
+        const changes = new Map(this.pendingWrites);
+        this.pendingWrites.clear();
+        this.writeEntries(changes);
+        this.notifyChange(changes, 'local');
+    }
+
+    static writeEntries(changes) {
+        this.recordSavedTimes(changes);
+        if (!this.db) {
+            changes.forEach((value, key) => {
+                if (value === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, value);
+                }
+            });
+            return;
+        }
+
+        const transaction = this.db.transaction(this.storeNames, 'readwrite');
+        changes.forEach((value, key) => {
+            const store = transaction.objectStore(this.storeForKey(key));
+            if (value === null) {
+                this.cache.delete(key);
+                store.delete(key);
+            } else {
+                this.cache.set(key, value);
+                store.put(value, key);
+            }
+        });
+        transaction.onerror = () => console.error('Failed to save notes.', transaction.error);
+    }
+
+    // Applies changes made outside this page. Other windows already persisted theirs, so only the cache is refreshed.
+    static applyExternalChanges(changes, origin) {
+        changes.forEach((value, key) => this.pendingWrites.delete(key));
+        if (origin === 'broadcast') {
+            this.recordSavedTimes(changes);
+            if (this.db) {
+                changes.forEach((value, key) => {
+                    if (value === null) {
+                        this.cache.delete(key);
+                    } else {
+                        this.cache.set(key, value);
+                    }
+                });
+            }
+        } else {
+            this.writeEntries(changes);
+        }
+        this.notifyChange(changes, origin);
+    }
+
+    static recordSavedTimes(changes) {
+        const now = Date.now();
+        changes.forEach((value, key) => {
+            if (value === null) {
+                this.savedTimes.delete(key);
+            } else {
+                this.savedTimes.set(key, now);
+            }
+        });
+    }
+
+    // When the key was last written during this session, from this window or another one
+    static getSavedTime(key) {
+        return this.savedTimes.get(key) || null;
+    }
+
+    static addChangeListener(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    static removeChangeListener(listener) {
+        this.changeListeners.delete(listener);
+    }
+
+    static notifyChange(changes, origin) {
+        if (this.channel && origin !== 'broadcast') {
+            this.channel.postMessage({ changes: Array.from(changes) });
+        }
+        this.changeListeners.forEach(listener => listener(changes, origin));
     }
 
     static getFromLocalStorage(key, defaultValue = '') {
         if (this.pendingWrites.has(key)) {
             return this.pendingWrites.get(key);
         }
-        return localStorage.getItem(key) || defaultValue;
+        if (!this.db) {
+            return localStorage.getItem(key) || defaultValue;
+        }
+        return this.cache.get(key) || defaultValue;
+    }
+
+    static keys() {
+        const keys = new Set(this.pendingWrites.keys());
+        if (this.db) {
+            this.cache.forEach((value, key) => keys.add(key));
+        } else {
+            for (let i = 0; i < localStorage.length; i++) {
+                keys.add(localStorage.key(i));
+            }
+        }
+        return Array.from(keys);
     }
 
     static removeFromLocalStorage(key) {
         this.pendingWrites.delete(key);
-        localStorage.removeItem(key);
+        const changes = new Map([[key, null]]);
+        this.writeEntries(changes);
+        this.notifyChange(changes, 'local');
     }
 }
 
-// HistoryManager: Manages undo/redo stacks with a size limit
+// HistoryManager: Diff-based undo/redo stacks for one note, restorable after a reload
 class HistoryManager {
-    constructor() {
+    static maxHistorySize = 500;
+    static mergeWindow = 1000;
+
+    constructor(content = '') {
         this.past = [];
         this.future = [];
-        this.current = '';
-        this.isNavigating = false;
-        this.maxHistorySize = 50; // Limit history size
+        this.current = content;
+        this.sealed = true;
+        this.dirty = false;
     }
 
-    pushState(newState) {
-        if (this.isNavigating) {
-            this.isNavigating = false;
-            return;
+    // Describes the single changed region between two texts
+    static diff(oldText, newText) {
+        let start = 0;
+        const minLength = Math.min(oldText.length, newText.length);
+        while (start < minLength && oldText.charCodeAt(start) === newText.charCodeAt(start)) {
+            start++;
         }
-        
-        if (this.current !== '' && this.current !== newState && 
-            Math.abs(this.current.length - newState.length) > 5) {
-            this.past.push(this.current);
-            
-            if (this.past.length > this.maxHistorySize) {
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (oldEnd > start && newEnd > start && oldText.charCodeAt(oldEnd - 1) === newText.charCodeAt(newEnd - 1)) {
+            oldEnd--;
+            newEnd--;
+        }
+        return { start, removed: oldText.slice(start, oldEnd), inserted: newText.slice(start, newEnd) };
+    }
+
+    static applyPatch(text, start, removeLength, insert) {
+        return text.slice(0, start) + insert + text.slice(start + removeLength);
+    }
+
+    static restore(serialized, content) {
+        const history = new HistoryManager(content);
+        try {
+            const data = JSON.parse(serialized);
+            if (data.hash === hashString(content)) {
+                history.past = data.past || [];
+                history.future = data.future || [];
+            }
+        } catch (error) {
+            // A damaged history is dropped; the note itself is stored separately
+        }
+        return history;
+    }
+
+    serialize() {
+        return JSON.stringify({ hash: hashString(this.current), past: this.past, future: this.future });
+    }
+
+    // Typing in one place within a short time is merged into one undo step
+    canMerge(last, change, now) {
+        if (this.sealed || !last || now - last.time > HistoryManager.mergeWindow) return false;
+        if (/\n/.test(change.inserted) || /\n/.test(change.removed)) return false;
+
+        const isInsert = change.removed === '' && change.inserted !== '';
+        const isDelete = change.inserted === '' && change.removed !== '';
+        if (isInsert && last.removed === '') {
+            return change.start === last.start + last.inserted.length;
+        }
+        if (isDelete && last.inserted === '') {
+            return change.start + change.removed.length === last.start || change.start === last.start;
+        }
+        return false;
+    }
+
+    record(newState, selectionBefore = null, selectionAfter = null, merge = true) {
+        if (newState === this.current) return;
+
+        const change = HistoryManager.diff(this.current, newState);
+        const now = Date.now();
+        const last = this.past[this.past.length - 1];
+
+        if (merge && this.canMerge(last, change, now)) {
+            if (change.removed === '') {
+                last.inserted += change.inserted;
+            } else if (change.start < last.start) {
+                last.removed = change.removed + last.removed;
+                last.start = change.start;
+            } else {
+                last.removed += change.removed;
+            }
+            last.selectionAfter = selectionAfter;
+            last.time = now;
+        } else {
+            this.past.push({
+                start: change.start,
+                removed: change.removed,
+                inserted: change.inserted,
+                selectionBefore: selectionBefore || { start: change.start, end: change.start + change.removed.length },
+                selectionAfter: selectionAfter || { start: change.start + change.inserted.length, end: change.start + change.inserted.length },
+                time: now
+            });
+            if (this.past.length > HistoryManager.maxHistorySize) {
                 this.past.shift();
             }
         }
-        
+
+        this.sealed = !merge;
         this.current = newState;
         this.future = [];
+        this.dirty = true;
+    }
+
+    // Records a programmatic change as its own undo step
+    pushState(newState) {
+        this.record(newState, null, null, false);
+    }
+
+    seal() {
+        this.sealed = true;
     }
 
     undo() {
-        if (this.past.length > 0) {
-            this.isNavigating = true;
-            this.future.unshift(this.current);
-            this.current = this.past.pop();
-            return this.current;
-        }
-        return null;
+        const entry = this.past.pop();
+        if (!entry) return null;
+
+        this.current = HistoryManager.applyPatch(this.current, entry.start, entry.inserted.length, entry.removed);
+        this.future.unshift(entry);
+        this.sealed = true;
+        this.dirty = true;
+        return { content: this.current, selection: entry.selectionBefore };
     }
 
     redo() {
-        if (this.future.length > 0) {
-            this.isNavigating = true;
-            this.past.push(this.current);
-            this.current = this.future.shift();
-            return this.current;
-        }
-        return null;
+        const entry = this.future.shift();
+        if (!entry) return null;
+
+        this.current = HistoryManager.applyPatch(this.current, entry.start, entry.removed.length, entry.inserted);
+        this.past.push(entry);
+        this.sealed = true;
+        this.dirty = true;
+        return { content: this.current, selection: entry.selectionAfter };
     }
 }
 
@@ -154,70 +795,674 @@ class FontManager {
   }
 }
 
-// LintingManager Class: Handles various linting tasks with performance improvements
-class LintingManager {
-    constructor(noteElement, lineNumbersElement) {
+// LineNumberGutter Class: Virtualized line numbers placed at the measured position of each line
+class LineNumberGutter {
+    static overscanLines = 20;
+    static minOverscanLines = 2;
+    // Target for one gutter update in milliseconds, also on 50,000-line notes; see the "line-numbers" performance measure.
+    // Slower updates render fewer lines around the viewport until they fit again.
+    static renderBudget = 8;
+
+    // getText returns the note's current text
+    constructor(noteElement, gutterElement, getText) {
         this.noteElement = noteElement;
-        this.lineNumbersElement = lineNumbersElement;
-        this.lineUpdatePending = false;
-        
-        this.scrollHandler = throttle(() => {
-            this.lineNumbersElement.scrollTop = this.noteElement.scrollTop;
-        }, 16); // Throttled to ~60fps
+        this.gutterElement = gutterElement;
+        this.getText = getText;
+        this.overscan = LineNumberGutter.overscanLines;
+        this.lineStarts = null;
+        this.textLength = 0;
+        this.diagnostics = new Map();
+        this.renderPending = false;
 
-        this.syncScrolling();
+        this.layer = document.createElement('div');
+        this.layer.className = 'line-number-layer';
+        this.gutterElement.replaceChildren(this.layer);
+
+        this.layoutHandler = () => this.scheduleRender();
+        window.addEventListener('resize', this.layoutHandler);
+        // Font size and font family changes re-wrap the text
+        this.styleObserver = new MutationObserver(this.layoutHandler);
+        this.styleObserver.observe(this.noteElement, { attributes: true, attributeFilter: ['style', 'class'] });
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.layoutHandler);
+            this.resizeObserver.observe(this.noteElement);
+        }
     }
 
-    updateLineNumbers() {
-        if (this.lineUpdatePending) return;
-        
-        this.lineUpdatePending = true;
+    // Call when the text changed; scrolling and resizing reuse the line starts
+    invalidate() {
+        this.lineStarts = null;
+        this.scheduleRender();
+    }
+
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics;
+        this.scheduleRender();
+    }
+
+    scheduleRender() {
+        if (this.renderPending) return;
+
+        this.renderPending = true;
         requestAnimationFrame(() => {
-            const lines = this.noteElement.innerText.split('\n').length;
-            const lineNumbers = Array.from({ length: lines }, (_, i) => i + 1);
-            this.lineNumbersElement.innerText = lineNumbers.join('\n');
-            this.lineUpdatePending = false;
+            this.renderPending = false;
+            this.render();
         });
     }
 
-    syncScrolling() {
-        this.noteElement.addEventListener('scroll', this.scrollHandler, { passive: true });
+    getLineStarts() {
+        if (!this.lineStarts) {
+            const text = this.getText();
+            const starts = [0];
+            let index = text.indexOf('\n');
+            while (index !== -1) {
+                starts.push(index + 1);
+                index = text.indexOf('\n', index + 1);
+            }
+            this.lineStarts = starts;
+            this.textLength = text.length;
+        }
+        return this.lineStarts;
     }
 
-    cleanup() {
-        this.noteElement.removeEventListener('scroll', this.scrollHandler);
+    // Index of the line containing the offset
+    lineAt(offset) {
+        const starts = this.getLineStarts();
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (starts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
     }
-}
 
-class TabManager {
-    constructor(noteElement, lineNumberElement, sectionManager) {
-        this.noteElement = noteElement;
-        this.lineNumberElement = lineNumberElement;
-        this.sectionManager = sectionManager;
-        this.tabs = [];
-        this.tabHistories = {};
-        this.currentTabIndex = -1;
+    getLineHeight() {
+        const style = window.getComputedStyle(this.noteElement);
+        return parseFloat(style.lineHeight) || (parseFloat(style.fontSize) || 16) * 1.6;
+    }
 
-        this.tabContainer = document.getElementById('tabContainer');
-        this.addTabBtn = document.getElementById('addTabBtn');
+    render() {
+        const started = performance.now();
+        const starts = this.getLineStarts();
+        const lineHeight = this.getLineHeight();
+        const noteBox = this.noteElement.getBoundingClientRect();
 
-        this.addTabBtn.addEventListener('click', () => this.createNewTab());
+        // A hidden or not yet laid out note shows no numbers; the resize observer renders them once it has a size
+        if (noteBox.height === 0) {
+            this.layer.replaceChildren();
+            return;
+        }
 
-        this.scrollHandler = throttle(() => this.syncScroll(), 16);
+        let first;
+        let last;
+        const visible = getVisibleTextOffsets(this.noteElement);
+        if (visible) {
+            first = this.lineAt(visible.start);
+            last = this.lineAt(visible.end);
+        } else {
+            first = Math.floor(this.noteElement.scrollTop / lineHeight);
+            last = first + Math.ceil(this.noteElement.clientHeight / lineHeight);
+        }
+        first = Math.max(0, first - this.overscan);
+        last = Math.min(starts.length - 1, last + this.overscan);
+
+        // Measure where each line starts so soft-wrapped lines keep their number on the first row
+        const lines = [];
+        for (let line = first; line <= last; line++) {
+            lines.push(line);
+        }
+        const ranges = createRangesFromOffsets(this.noteElement, lines.map(line => [starts[line], Math.min(starts[line] + 1, this.textLength)]));
+
+        const fragment = document.createDocumentFragment();
+        let previousTop = -Infinity;
+        lines.forEach((line, index) => {
+            let top = line * lineHeight;
+            if (ranges[index]) {
+                const rect = ranges[index].getClientRects()[0] || ranges[index].getBoundingClientRect();
+                if (rect.height > 0) {
+                    top = rect.top - noteBox.top + this.noteElement.scrollTop;
+                } else if (previousTop > -Infinity) {
+                    top = previousTop + lineHeight;
+                }
+            }
+            previousTop = top;
+
+            const element = document.createElement('div');
+            element.className = 'line-number';
+            element.style.top = `${top}px`;
+            element.textContent = line + 1;
+
+            const diagnostics = this.diagnostics.get(line + 1);
+            if (diagnostics) {
+                const severity = diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 'error' : 'warning';
+                element.classList.add(`lint-${severity}`);
+                element.title = diagnostics.map(diagnostic => diagnostic.message).join('\n');
+            }
+            fragment.appendChild(element);
+        });
+
+        this.layer.style.height = `${Math.max(this.noteElement.scrollHeight, starts.length * lineHeight)}px`;
+        this.layer.replaceChildren(fragment);
+        this.gutterElement.scrollTop = this.noteElement.scrollTop;
+
+        this.adjustOverscan(recordMeasure('line-numbers', started, LineNumberGutter.renderBudget));
+    }
+
+    // Halves the lines rendered off screen after an update over budget, and slowly brings them back once updates are fast
+    adjustOverscan(duration) {
+        if (duration > LineNumberGutter.renderBudget) {
+            this.overscan = Math.max(LineNumberGutter.minOverscanLines, Math.floor(this.overscan / 2));
+        } else if (duration < LineNumberGutter.renderBudget / 2) {
+            this.overscan = Math.min(LineNumberGutter.overscanLines, this.overscan + 1);
+        }
+    }
+
+    cleanup() {
+        window.removeEventListener('resize', this.layoutHandler);
+        this.styleObserver.disconnect();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+    }
+}
+
+// DocumentLinter Class: Validates JSON, YAML, CSV and Markdown text and formats documents
+class DocumentLinter {
+    static lintedModes = ['json', 'yaml', 'csv', 'markdown'];
+
+    // Returns { line, severity, message } diagnostics with 1-based line numbers
+    static lint(mode, text) {
+        if (!text.trim()) return [];
+        switch (mode) {
+            case 'json': return this.lintJson(text);
+            case 'yaml': return this.lintYaml(text);
+            case 'csv': return this.lintCsv(text);
+            case 'markdown': return this.lintMarkdown(text);
+            default: return [];
+        }
+    }
+
+    static lineAt(text, position) {
+        let line = 1;
+        for (let i = 0; i < position && i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) line++;
+        }
+        return line;
+    }
+
+    static lintJson(text) {
+        try {
+            JSON.parse(text);
+            return [];
+        } catch (error) {
+            const message = error.message.replace(/\s*\(line \d+ column \d+\)/, '').replace(/ in JSON at position \d+/, '');
+            const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+            const position = error.message.match(/at position (\d+)/);
+            let line = text.split('\n').length;
+            if (lineColumn) {
+                line = parseInt(lineColumn[1], 10);
+            } else if (position) {
+                line = this.lineAt(text, parseInt(position[1], 10));
+            }
+            return [{ line, severity: 'error', message }];
+        }
+    }
+
+    // Structural checks for YAML: indentation, mixed lists and keys, duplicate keys and quotes
+    static lintYaml(text) {
+        const diagnostics = [];
+        let levels = [{ indent: 0, kind: null, keys: new Set() }];
+        let blockScalarIndent = null;
+
+        text.split('\n').forEach((line, index) => {
+            const number = index + 1;
+            const indent = line.match(/^[ \t]*/)[0];
+
+            if (blockScalarIndent !== null) {
+                if (!line.trim() || indent.length > blockScalarIndent) return;
+                blockScalarIndent = null;
+            }
+            if (/^\s*(?:#|$)/.test(line)) return;
+            if (/^(?:---|\.\.\.)(?:\s|$)/.test(line)) {
+                levels = [{ indent: 0, kind: null, keys: new Set() }];
+                return;
+            }
+            if (indent.includes('\t')) {
+                diagnostics.push({ line: number, severity: 'error', message: 'Tabs are not allowed in YAML indentation' });
+                return;
+            }
+
+            let dedented = false;
+            while (levels.length > 1 && indent.length < levels[levels.length - 1].indent) {
+                levels.pop();
+                dedented = true;
+            }
+            let level = levels[levels.length - 1];
+            if (dedented && indent.length > level.indent) {
+                diagnostics.push({ line: number, severity: 'error', message: 'Indentation does not match any outer level' });
+                return;
+            }
+            if (indent.length > level.indent) {
+                level = { indent: indent.length, kind: null, keys: new Set() };
+                levels.push(level);
+            }
+
+            let content = line.slice(indent.length);
+            const isItem = /^-(?:\s|$)/.test(content);
+            const kind = isItem ? 'list' : 'map';
+            if (level.kind && level.kind !== kind && /^[^\s#]/.test(content)) {
+                diagnostics.push({ line: number, severity: 'error', message: 'List items and keys cannot be mixed at the same level' });
+            }
+            level.kind = level.kind || kind;
+
+            if (isItem) {
+                // The content of a list item is a nested level of its own
+                const itemIndent = indent.length + content.match(/^-\s*/)[0].length;
+                content = content.replace(/^-\s*/, '');
+                levels = levels.slice(0, levels.indexOf(level) + 1);
+                if (!content) return;
+                level = { indent: itemIndent, kind: null, keys: new Set() };
+                levels.push(level);
+            }
+
+            const keyMatch = content.match(/^("[^"]*"|'[^']*'|[^\s#:'"\-{[][^:#]*?|[^\s#:'"{[][^:#]*?)\s*:(?:\s+|$)(.*)$/);
+            let value = content;
+            if (keyMatch && !/^[\[{]/.test(content)) {
+                const key = keyMatch[1].replace(/^["']|["']$/g, '');
+                if (level.kind !== 'list' || isItem) {
+                    if (level.keys.has(key)) {
+                        diagnostics.push({ line: number, severity: 'warning', message: `Duplicate key "${key}"` });
+                    }
+                    level.keys.add(key);
+                }
+                level.kind = 'map';
+                value = keyMatch[2];
+            }
+
+            value = value.replace(/\s+#.*$/, '').trim();
+            if (/^[|>][+-]?\d*$/.test(value)) {
+                blockScalarIndent = indent.length;
+            } else if (/^"/.test(value) && !/^"(?:\\.|[^"\\])*"/.test(value)) {
+                diagnostics.push({ line: number, severity: 'error', message: 'Unterminated double-quoted string' });
+            } else if (/^'/.test(value) && !/^'(?:''|[^'])*'/.test(value)) {
+                diagnostics.push({ line: number, severity: 'error', message: 'Unterminated single-quoted string' });
+            }
+        });
+        return diagnostics;
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.split('\n', 1)[0];
+        return [',', ';', '\t', '|']
+            .map(delimiter => [delimiter, firstLine.split(delimiter).length])
+            .sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Parses CSV records, checking quotes and that every record has as many fields as the header
+    static lintCsv(text) {
+        const diagnostics = [];
+        const delimiter = this.detectDelimiter(text);
+        let expected = null;
+        let fields = 1;
+        let fieldStart = true;
+        let inQuotes = false;
+        let quoteLine = 1;
+        let line = 1;
+        let recordLine = 1;
+        let recordEmpty = true;
+
+        const endRecord = () => {
+            if (!recordEmpty) {
+                if (expected === null) {
+                    expected = fields;
+                } else if (fields !== expected) {
+                    diagnostics.push({ line: recordLine, severity: 'warning', message: `Expected ${expected} fields but found ${fields}` });
+                }
+            }
+            fields = 1;
+            fieldStart = true;
+            recordEmpty = true;
+            recordLine = line;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else if (char === '\n') {
+                    line++;
+                }
+                continue;
+            }
+
+            if (char === '\n') {
+                line++;
+                endRecord();
+            } else if (char === delimiter) {
+                fields++;
+                fieldStart = true;
+                recordEmpty = false;
+            } else if (char === '"') {
+                if (fieldStart) {
+                    inQuotes = true;
+                    quoteLine = line;
+                } else {
+                    diagnostics.push({ line, severity: 'warning', message: 'Quote inside an unquoted field' });
+                }
+                fieldStart = false;
+                recordEmpty = false;
+            } else if (char !== '\r') {
+                fieldStart = false;
+                recordEmpty = false;
+            }
+        }
+
+        if (inQuotes) {
+            diagnostics.push({ line: quoteLine, severity: 'error', message: 'Quoted field is never closed' });
+        } else {
+            endRecord();
+        }
+        return diagnostics;
+    }
+
+    static lintMarkdown(text) {
+        const diagnostics = [];
+        const lines = text.split('\n');
+        let fenceLine = null;
+        let previousHeading = 0;
+        let tableColumns = null;
+
+        lines.forEach((line, index) => {
+            const number = index + 1;
+            if (/^\s*(```|~~~)/.test(line)) {
+                fenceLine = fenceLine === null ? number : null;
+                return;
+            }
+            if (fenceLine !== null) return;
+
+            const heading = line.match(/^(#{1,6})(\s*)(.*)$/);
+            if (heading) {
+                const level = heading[1].length;
+                if (!heading[2] && heading[3]) {
+                    diagnostics.push({ line: number, severity: 'warning', message: 'Add a space after # to make this a heading' });
+                } else if (previousHeading && level > previousHeading + 1) {
+                    diagnostics.push({ line: number, severity: 'warning', message: `Heading level jumps from h${previousHeading} to h${level}` });
+                }
+                if (heading[2]) {
+                    previousHeading = level;
+                }
+            }
+
+            if (/\[[^\]]*\]\(\s*\)/.test(line)) {
+                diagnostics.push({ line: number, severity: 'warning', message: 'Link has no URL' });
+            }
+
+            if (/^\s*\|.*\|\s*$/.test(line)) {
+                const cells = MarkdownRenderer.splitTableRow(line).length;
+                if (tableColumns === null) {
+                    tableColumns = cells;
+                } else if (cells !== tableColumns) {
+                    diagnostics.push({ line: number, severity: 'warning', message: `Table row has ${cells} cells but the header has ${tableColumns}` });
+                }
+            } else {
+                tableColumns = null;
+            }
+        });
+
+        if (fenceLine !== null) {
+            diagnostics.push({ line: fenceLine, severity: 'error', message: 'Code block is never closed' });
+        }
+        return diagnostics;
+    }
+
+    // Returns the formatted text, or throws when the document can't be parsed
+    static format(mode, text) {
+        switch (mode) {
+            case 'json':
+                return JSON.stringify(JSON.parse(text), null, 2);
+            case 'yaml':
+                return this.formatYaml(text);
+            case 'csv':
+                return text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+            case 'markdown':
+                return text
+                    .split('\n')
+                    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)).replace(/^(#{1,6})([^#\s])/, '$1 $2'))
+                    .join('\n')
+                    .replace(/\n{3,}/g, '\n\n');
+            default:
+                return text
+                    .split('\n')
+                    .map(line => line.replace(/^[ \t]+/, indent => indent.replace(/\t/g, '    ')).replace(/[ \t]+$/, ''))
+                    .join('\n');
+        }
+    }
+
+    // Re-indents YAML to two spaces per level, keeping block scalar contents relative to their key
+    static formatYaml(text) {
+        const levels = [];
+        let blockScalar = null;
+
+        return text.split('\n').map(line => {
+            const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+            const content = line.trim() ? line.replace(/^[ \t]*/, '').replace(/[ \t]+$/, '') : '';
+
+            if (blockScalar) {
+                if (!content) return '';
+                if (indent > blockScalar.keyIndent) {
+                    if (blockScalar.contentIndent === null) {
+                        blockScalar.contentIndent = indent;
+                    }
+                    const extra = Math.max(0, indent - blockScalar.contentIndent);
+                    return ' '.repeat(blockScalar.newIndent + 2 + extra) + line.replace(/^[ \t]*/, '');
+                }
+                blockScalar = null;
+            }
+            if (!content) return '';
+
+            while (levels.length && indent < levels[levels.length - 1]) {
+                levels.pop();
+            }
+            if (!levels.length || indent > levels[levels.length - 1]) {
+                levels.push(indent);
+            }
+            const newIndent = (levels.length - 1) * 2;
+
+            if (/:\s*[|>][+-]?\d*(?:\s+#.*)?$/.test(content)) {
+                blockScalar = { keyIndent: indent, newIndent, contentIndent: null };
+            }
+            return ' '.repeat(newIndent) + content;
+        }).join('\n');
+    }
+}
+
+// LintingManager Class: Renders the line number gutter with diagnostics, lints the note as you type and formats it
+class LintingManager {
+    constructor(noteElement, lineNumbersElement, tabManager, syntaxManager, markdownManager) {
+        this.noteElement = noteElement;
+        this.lineNumbersElement = lineNumbersElement;
+        this.tabManager = tabManager;
+        this.syntaxManager = syntaxManager;
+        this.markdownManager = markdownManager;
+        this.gutter = new LineNumberGutter(noteElement, lineNumbersElement, () => tabManager.getNoteText());
+        this.formatBtn = document.getElementById('formatDocumentBtn');
+        
+        this.scrollHandler = throttle(() => {
+            this.lineNumbersElement.scrollTop = this.noteElement.scrollTop;
+            this.gutter.scheduleRender();
+        }, 16); // Throttled to ~60fps
+        this.inputHandler = () => this.updateLineNumbers();
+        this.debouncedLint = debounce(() => this.lint(), 300);
+
+        this.syncScrolling();
+        this.bindEvents();
+        this.lint();
+    }
+
+    bindEvents() {
+        this.noteElement.addEventListener('input', this.inputHandler);
+        this.noteElement.addEventListener('input', this.debouncedLint);
+        this.formatBtn.addEventListener('click', () => this.formatDocument());
+        this.tabManager.onTabSwitch(() => this.lint());
+        this.tabManager.onContentChange(() => {
+            this.updateLineNumbers();
+            this.debouncedLint();
+        });
+        this.syntaxManager.onLanguageChange(() => this.lint());
+        this.markdownManager.onModeChange(() => this.lint());
+    }
+
+    // Markdown tabs are linted as Markdown, other tabs by their language mode
+    getLintMode() {
+        if (this.markdownManager.isMarkdown()) return 'markdown';
+        const language = this.syntaxManager.getLanguage();
+        return DocumentLinter.lintedModes.includes(language) ? language : null;
+    }
+
+    lint() {
+        const mode = this.getLintMode();
+        const diagnostics = mode ? DocumentLinter.lint(mode, this.tabManager.getNoteText()) : [];
+
+        const byLine = new Map();
+        diagnostics.forEach(diagnostic => {
+            if (!byLine.has(diagnostic.line)) {
+                byLine.set(diagnostic.line, []);
+            }
+            byLine.get(diagnostic.line).push(diagnostic);
+        });
+        this.gutter.setDiagnostics(byLine);
+    }
+
+    updateLineNumbers() {
+        this.gutter.invalidate();
+    }
+
+    formatDocument() {
+        const mode = this.getLintMode() || this.syntaxManager.getLanguage();
+        const text = this.tabManager.getNoteText();
+        let formatted;
+        try {
+            formatted = DocumentLinter.format(mode, text);
+        } catch (error) {
+            alert(`The document can't be formatted until its errors are fixed: ${error.message}`);
+            return;
+        }
+        if (formatted !== text) {
+            this.tabManager.commitContent(formatted);
+            this.lint();
+        }
+    }
+
+    syncScrolling() {
+        this.noteElement.addEventListener('scroll', this.scrollHandler, { passive: true });
+    }
+
+    cleanup() {
+        this.noteElement.removeEventListener('scroll', this.scrollHandler);
+        this.noteElement.removeEventListener('input', this.inputHandler);
+        this.noteElement.removeEventListener('input', this.debouncedLint);
+        this.gutter.cleanup();
+    }
+}
+
+class TabManager {
+    static dragType = 'application/x-notepad-tab';
+    static tabColors = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+    // Targets in milliseconds, also on 50,000-line notes. "open-note" runs from replacing the editor text to the end of
+    // the next frame, "keystroke" from the browser's beforeinput to the end of the frame after every input listener ran.
+    static openBudget = 100;
+    static keystrokeBudget = 16;
+
+    constructor(noteElement, lineNumberElement, sectionManager) {
+        this.noteElement = noteElement;
+        this.lineNumberElement = lineNumberElement;
+        this.sectionManager = sectionManager;
+        this.tabs = [];
+        this.tabHistories = {};
+        this.savedContents = {};
+        this.currentTabIndex = -1;
+        this.selectionBeforeInput = null;
+
+        this.tabContainer = document.getElementById('tabContainer');
+        this.addTabBtn = document.getElementById('addTabBtn');
+        this.allTabsBtn = document.getElementById('allTabsBtn');
+        this.allTabsMenu = document.getElementById('allTabsMenu');
+        this.tabMenu = null;
+        this.conflictBar = document.getElementById('conflictBar');
+        this.editConflict = null;
+        this.trashManager = null;
+        this.tabSwitchListeners = new Set();
+        this.contentChangeListeners = new Set();
+        this.tabsChangeListeners = new Set();
+        this.tabFilter = null;
+        this.noteText = null;
+        this.keystrokeStarted = null;
+
+        // Runs before any input listener of the note, so none of them reads a stale getNoteText()
+        this.textInvalidationHandler = (e) => {
+            if (e.target === this.noteElement) {
+                this.noteText = null;
+            }
+        };
+        document.addEventListener('input', this.textInvalidationHandler, true);
+        // Bubbles to the document after the note's own input listeners, so the frame it waits for includes their work
+        this.keystrokeHandler = (e) => {
+            if (e.target !== this.noteElement || this.keystrokeStarted === null) return;
+
+            const started = this.keystrokeStarted;
+            this.keystrokeStarted = null;
+            requestAnimationFrame(() => recordMeasure('keystroke', started, TabManager.keystrokeBudget));
+        };
+        document.addEventListener('input', this.keystrokeHandler);
+
+        this.addTabBtn.addEventListener('click', () => this.createNewTab());
+        this.allTabsBtn.addEventListener('click', () => this.toggleAllTabsMenu());
+        this.menuDismissHandler = (e) => {
+            if (e.type === 'keydown' ? e.key === 'Escape' : !this.tabMenu.contains(e.target)) {
+                this.closeTabMenu();
+            }
+        };
+        this.allTabsDismissHandler = (e) => {
+            if (!this.allTabsMenu.contains(e.target) && !this.allTabsBtn.contains(e.target)) {
+                this.closeAllTabsMenu();
+            }
+        };
+        this.resizeHandler = () => this.updateOverflow();
+        window.addEventListener('resize', this.resizeHandler);
+        // The mouse wheel scrolls the tab strip sideways when the tabs overflow
+        this.tabContainer.addEventListener('wheel', (e) => {
+            if (e.deltaY === 0 || this.tabContainer.scrollWidth <= this.tabContainer.clientWidth) return;
+            e.preventDefault();
+            this.tabContainer.scrollLeft += e.deltaY;
+        }, { passive: false });
+        this.conflictBar.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.resolveEditConflict(button.dataset.choice));
+        });
+
+        this.scrollHandler = throttle(() => this.syncScroll(), 16);
         this.noteElement.addEventListener('scroll', this.scrollHandler, { passive: true });
         
-        this.bindUndoRedo();
+        this.bindHistoryRecording();
+
+        this.storageChangeHandler = (changes, origin) => this.handleStorageChange(changes, origin);
+        StorageManager.addChangeListener(this.storageChangeHandler);
 
         const savedTabs = StorageManager.getFromLocalStorage('tabs', null);
         const savedTabIndex = StorageManager.getFromLocalStorage('currentTabIndex', -1);
 
         if (savedTabs) {
             this.tabs = JSON.parse(savedTabs);
-            this.tabs.forEach(tab => {
-                this.tabHistories[tab.id] = new HistoryManager();
-                const savedContent = StorageManager.getFromLocalStorage(tab.id, '');
-                this.tabHistories[tab.id].current = savedContent;
-            });
+            this.tabs.forEach(tab => this.createHistory(tab.id));
             this.renderTabs();
             const index = parseInt(savedTabIndex);
             if (index >= 0 && index < this.tabs.length) {
@@ -235,19 +1480,50 @@ class TabManager {
             this.saveCurrentTabContent();
         }
 
-        const tabId = `note-${Date.now()}`;
+        const tabId = this.generateTabId();
         const tab = {
             id: tabId,
             title: `Note ${this.tabs.length + 1}`,
         };
         this.tabs.push(tab);
-        this.tabHistories[tabId] = new HistoryManager();
+        this.createHistory(tabId);
         this.renderTabs();
         this.switchTab(this.tabs.length - 1);
     }
 
+    generateTabId() {
+        let timestamp = Date.now();
+        while (this.tabs.some(tab => tab.id === `note-${timestamp}`)) {
+            timestamp += 1;
+        }
+        return `note-${timestamp}`;
+    }
+
+    insertTab(title, content, index = this.tabs.length, fields = {}) {
+        const tab = Object.assign({
+            id: this.generateTabId(),
+            title,
+        }, fields);
+        this.tabs.splice(index, 0, tab);
+        this.tabHistories[tab.id] = new HistoryManager(content);
+        this.savedContents[tab.id] = content;
+        StorageManager.saveToLocalStorage(tab.id, content);
+
+        if (index <= this.currentTabIndex) {
+            this.currentTabIndex += 1;
+        }
+        this.saveTabsToStorage();
+        this.renderTabs();
+        return tab;
+    }
+
     switchTab(index) {
         if (this.currentTabIndex === index) return;
+        if (this.editConflict) {
+            const targetId = this.tabs[index].id;
+            this.resolveEditConflict('both');
+            index = this.tabs.findIndex(tab => tab.id === targetId);
+        }
         this.saveCurrentTabContent();
 
         this.currentTabIndex = index;
@@ -256,13 +1532,20 @@ class TabManager {
         const historyManager = this.tabHistories[currentTab.id];
         const newContent = historyManager.current || StorageManager.getFromLocalStorage(currentTab.id, '');
         
-        this.noteElement.innerText = newContent;
         historyManager.current = newContent;
+        historyManager.seal();
+        this.savedContents[currentTab.id] = newContent;
 
         this.sectionManager.setNoteId(currentTab.id);
 
-        this.updateLineNumbers();
-        this.highlightActiveTab();
+        this.setNoteContent(newContent);
+        this.tabSwitchListeners.forEach(listener => listener(currentTab));
+        // With a filter the previous tab may have been shown only because it was the current one
+        if (this.tabFilter) {
+            this.renderTabs();
+        } else {
+            this.highlightActiveTab();
+        }
         this.saveTabsToStorage();
         this.placeCursorAtEnd(this.noteElement);
     }
@@ -270,10 +1553,15 @@ class TabManager {
     saveCurrentTabContent() {
         if (this.currentTabIndex === -1) return;
         const currentTab = this.tabs[this.currentTabIndex];
-        const currentContent = this.noteElement.innerText;
+        const currentContent = this.getNoteText();
+
+        // Never overwrite another window's edit until the user picked a version
+        if (this.editConflict && this.editConflict.tabId === currentTab.id) return;
         
         StorageManager.saveToLocalStorage(currentTab.id, currentContent);
+        this.savedContents[currentTab.id] = currentContent;
         this.tabHistories[currentTab.id].pushState(currentContent);
+        this.debouncedPersistHistories();
     }
 
     closeTab(index) {
@@ -283,17 +1571,22 @@ class TabManager {
         }
 
         const tabToClose = this.tabs[index];
+        if (tabToClose.pinned) {
+            alert("Unpin this tab before closing it.");
+            return;
+        }
         const wasActiveTab = (index === this.currentTabIndex);
 
+        if (wasActiveTab) {
+            this.saveCurrentTabContent();
+        }
+        this.persistHistories();
+        this.trashManager.moveToTrash(tabToClose, index);
+
         this.tabs.splice(index, 1);
         
         delete this.tabHistories[tabToClose.id];
-        
-        StorageManager.removeFromLocalStorage(tabToClose.id);
-        ['summary', 'translation', 'grammar', 'rewriting', 'keywords'].forEach(section => {
-            const key = `${tabToClose.id}-${section}`;
-            StorageManager.removeFromLocalStorage(key);
-        });
+        delete this.savedContents[tabToClose.id];
 
         if (wasActiveTab) {
             if (index >= this.tabs.length) {
@@ -314,21 +1607,80 @@ class TabManager {
         }
     }
 
-    bindUndoRedo() {
-        this.undoRedoHandler = (e) => {
-            if (e.target !== this.noteElement) return;
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-                e.preventDefault();
-                this.undo();
-            }
-            if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+    setTrashManager(trashManager) {
+        this.trashManager = trashManager;
+    }
+
+    // Every stored key of a note: its text, AI outputs in each language, undo history and snapshots
+    getTabKeys(tabId) {
+        return StorageManager.keys().filter(key => key === tabId || key.startsWith(`${tabId}-`));
+    }
+
+    // Puts a tab from the recycle bin back, its stored keys must already be restored
+    restoreTab(tab, index) {
+        index = Math.min(index, this.tabs.length);
+        this.tabs.splice(index, 0, tab);
+        this.createHistory(tab.id);
+        if (index <= this.currentTabIndex) {
+            this.currentTabIndex += 1;
+        }
+
+        this.renderTabs();
+        this.switchTab(index);
+    }
+
+    createHistory(tabId) {
+        const content = StorageManager.getFromLocalStorage(tabId, '');
+        const serialized = StorageManager.getFromLocalStorage(`${tabId}-history`, null);
+        this.tabHistories[tabId] = serialized ? HistoryManager.restore(serialized, content) : new HistoryManager(content);
+        this.savedContents[tabId] = content;
+    }
+
+    bindHistoryRecording() {
+        this.debouncedPersistHistories = debounce(() => this.persistHistories(), 1000);
+
+        this.beforeInputHandler = (e) => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
                 e.preventDefault();
-                this.redo();
+                if (e.inputType === 'historyUndo') {
+                    this.undo();
+                } else {
+                    this.redo();
+                }
+                return;
             }
+            this.keystrokeStarted = performance.now();
+            this.selectionBeforeInput = getSelectionOffsets(this.noteElement);
+        };
+        this.inputHandler = () => this.recordInput();
+        this.pageHideHandler = () => {
+            this.persistHistories();
+            StorageManager.flushWrites();
         };
-        document.addEventListener('keydown', this.undoRedoHandler);
+
+        this.noteElement.addEventListener('beforeinput', this.beforeInputHandler);
+        this.noteElement.addEventListener('input', this.inputHandler);
+        window.addEventListener('pagehide', this.pageHideHandler);
     }
-    
+
+    recordInput() {
+        const currentTab = this.getCurrentTab();
+        if (!currentTab) return;
+
+        const historyManager = this.tabHistories[currentTab.id];
+        historyManager.record(this.getNoteText(), this.selectionBeforeInput, getSelectionOffsets(this.noteElement));
+        this.selectionBeforeInput = null;
+        this.debouncedPersistHistories();
+    }
+
+    persistHistories() {
+        Object.entries(this.tabHistories).forEach(([tabId, historyManager]) => {
+            if (!historyManager.dirty) return;
+            StorageManager.saveToLocalStorage(`${tabId}-history`, historyManager.serialize());
+            historyManager.dirty = false;
+        });
+    }
+
     undo() {
         if (this.currentTabIndex === -1) return;
         const currentTabId = this.tabs[this.currentTabIndex].id;
@@ -336,9 +1688,7 @@ class TabManager {
 
         const previousState = historyManager.undo();
         if (previousState !== null) {
-            this.noteElement.innerText = previousState;
-            this.updateLineNumbers();
-            this.placeCursorAtEnd(this.noteElement);
+            this.applyHistoryState(previousState);
         }
     }
 
@@ -349,125 +1699,376 @@ class TabManager {
 
         const nextState = historyManager.redo();
         if (nextState !== null) {
-            this.noteElement.innerText = nextState;
-            this.updateLineNumbers();
+            this.applyHistoryState(nextState);
+        }
+    }
+
+    applyHistoryState(state) {
+        this.setNoteContent(state.content);
+        this.saveCurrentTabContent();
+        this.noteElement.focus();
+        if (state.selection) {
+            setSelectionOffsets(this.noteElement, state.selection.start, state.selection.end);
+            scrollSelectionIntoView(this.noteElement);
+        } else {
             this.placeCursorAtEnd(this.noteElement);
         }
     }
 
+    // Tab elements are rebuilt from this.tabs, and their handlers look the tab up by id, so they never act on a stale index
     renderTabs() {
-        const existingTabs = this.tabContainer.querySelectorAll('.tab');
-        
-        this.tabs.forEach((tab, index) => {
-            let tabElement = existingTabs[index];
-            
-            if (!tabElement) {
-                tabElement = this.createTabElement(tab, index);
-                this.tabContainer.appendChild(tabElement);
-            } else {
-                const titleSpan = tabElement.querySelector('.tab-title');
-                if (titleSpan && titleSpan.textContent !== tab.title) {
-                    titleSpan.textContent = tab.title;
-                }
-            }
-        });
-        
-        while (this.tabContainer.children.length > this.tabs.length) {
-            this.tabContainer.removeChild(this.tabContainer.lastChild);
-        }
-        
+        this.tabContainer.replaceChildren(...this.getVisibleTabs().map(tab => this.createTabElement(tab)));
         this.highlightActiveTab();
+        this.updateOverflow();
+        if (!this.allTabsMenu.hidden) {
+            this.renderAllTabsMenu();
+        }
+        this.tabsChangeListeners.forEach(listener => listener(this.tabs));
     }
-    
-    createTabElement(tab, index) {
+
+    createTabElement(tab) {
         const tabElement = document.createElement('div');
         tabElement.classList.add('tab');
+        tabElement.classList.toggle('pinned', Boolean(tab.pinned));
+        if (tab.color) {
+            tabElement.classList.add(`tab-color-${tab.color}`);
+        }
+        tabElement.dataset.tabId = tab.id;
+        tabElement.draggable = true;
+
+        if (tab.pinned) {
+            const pinIcon = document.createElement('span');
+            pinIcon.textContent = '📌';
+            pinIcon.classList.add('pin-icon');
+            pinIcon.title = 'Pinned';
+            tabElement.appendChild(pinIcon);
+        }
 
         const titleSpan = document.createElement('span');
         titleSpan.textContent = tab.title;
         titleSpan.classList.add('tab-title');
-
         titleSpan.ondblclick = (e) => {
             e.stopPropagation();
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.value = tab.title;
-            input.className = 'edit-title';
-
-            tabElement.replaceChild(input, titleSpan);
-            input.focus();
-
-            const save = () => {
-                const newTitle = input.value.trim() || 'Untitled';
-                
-                // Update the tab's title in the data
-                tab.title = newTitle;
-                this.saveTabsToStorage();
-
-                // Create a new title span and set its content
-                const newTitleSpan = document.createElement('span');
-                newTitleSpan.textContent = newTitle;
-                newTitleSpan.classList.add('tab-title');
-                
-                // Re-attach the dblclick event listener to the new span
-                newTitleSpan.ondblclick = (e) => {
-                    e.stopPropagation();
-                    const input = document.createElement('input');
-                    input.type = 'text';
-                    input.value = newTitle;
-                    input.className = 'edit-title';
-
-                    tabElement.replaceChild(input, newTitleSpan);
-                    input.focus();
-                    
-                    const newSave = () => {
-                        const finalNewTitle = input.value.trim() || 'Untitled';
-                        tab.title = finalNewTitle;
-                        this.saveTabsToStorage();
-                        this.renderTabs();
-                    };
-                    
-                    input.onblur = newSave;
-                    input.onkeydown = (e) => {
-                        if (e.key === 'Enter') input.blur();
-                    };
-                };
+            this.startRename(tab, tabElement);
+        };
+        tabElement.appendChild(titleSpan);
 
-                // Replace the input with the new span
-                tabElement.replaceChild(newTitleSpan, input);
+        // Pinned tabs have no close button, so they can't be closed by a stray click
+        if (!tab.pinned) {
+            const closeBtn = document.createElement('span');
+            closeBtn.textContent = '×';
+            closeBtn.classList.add('close-btn');
+            closeBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.closeTab(this.tabs.indexOf(tab));
             };
+            tabElement.appendChild(closeBtn);
+        }
 
-            input.onblur = save;
-            input.onkeydown = (e) => {
-                if (e.key === 'Enter') input.blur();
-            };
+        tabElement.addEventListener('click', () => this.switchTab(this.tabs.indexOf(tab)));
+        tabElement.addEventListener('mousedown', (e) => {
+            // Keeps the browser from starting autoscroll on middle-click
+            if (e.button === 1) e.preventDefault();
+        });
+        tabElement.addEventListener('auxclick', (e) => {
+            if (e.button !== 1 || tab.pinned) return;
+            e.preventDefault();
+            this.closeTab(this.tabs.indexOf(tab));
+        });
+        tabElement.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.openTabMenu(tab, e.clientX, e.clientY);
+        });
+
+        tabElement.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(TabManager.dragType, tab.id);
+            e.dataTransfer.effectAllowed = 'move';
+            tabElement.classList.add('dragging');
+        });
+        tabElement.addEventListener('dragend', () => {
+            tabElement.classList.remove('dragging');
+            this.clearDropIndicators();
+        });
+        tabElement.addEventListener('dragover', (e) => {
+            if (!Array.from(e.dataTransfer.types).includes(TabManager.dragType)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const after = this.isAfterMidpoint(tabElement, e.clientX);
+            this.clearDropIndicators();
+            tabElement.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+        tabElement.addEventListener('drop', (e) => {
+            const draggedId = e.dataTransfer.getData(TabManager.dragType);
+            if (!draggedId) return;
+            e.preventDefault();
+            this.clearDropIndicators();
+
+            const fromIndex = this.tabs.findIndex(other => other.id === draggedId);
+            let toIndex = this.tabs.indexOf(tab) + (this.isAfterMidpoint(tabElement, e.clientX) ? 1 : 0);
+            if (fromIndex < toIndex) toIndex -= 1;
+            this.moveTab(fromIndex, toIndex);
+        });
+
+        return tabElement;
+    }
+
+    isAfterMidpoint(element, clientX) {
+        const rect = element.getBoundingClientRect();
+        return clientX > rect.left + rect.width / 2;
+    }
+
+    clearDropIndicators() {
+        this.tabContainer.querySelectorAll('.drop-before, .drop-after').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    startRename(tab, tabElement) {
+        const titleSpan = tabElement.querySelector('.tab-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = tab.title;
+        input.className = 'edit-title';
+        // Dragging would otherwise start when selecting text in the input
+        tabElement.draggable = false;
+
+        tabElement.replaceChild(input, titleSpan);
+        input.focus();
+        input.select();
+
+        input.onblur = () => {
+            tab.title = input.value.trim() || 'Untitled';
+            this.saveTabsToStorage();
+            this.renderTabs();
         };
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') input.blur();
+        };
+    }
 
-        const closeBtn = document.createElement('span');
-        closeBtn.textContent = '×';
-        closeBtn.classList.add('close-btn');
-        closeBtn.onclick = (e) => {
-            e.stopPropagation();
-            this.closeTab(index);
+    // Moves a tab, keeping pinned tabs ahead of the others and the current tab selected; false when nothing moved
+    moveTab(fromIndex, toIndex) {
+        const tab = this.tabs[fromIndex];
+        if (!tab) return false;
+
+        const pinnedCount = this.tabs.filter(other => other.pinned).length;
+        toIndex = tab.pinned
+            ? Math.min(Math.max(toIndex, 0), pinnedCount - 1)
+            : Math.min(Math.max(toIndex, pinnedCount), this.tabs.length - 1);
+        if (toIndex === fromIndex) return false;
+
+        const currentTab = this.getCurrentTab();
+        this.tabs.splice(fromIndex, 1);
+        this.tabs.splice(toIndex, 0, tab);
+        this.currentTabIndex = this.tabs.indexOf(currentTab);
+
+        this.saveTabsToStorage();
+        this.renderTabs();
+        return true;
+    }
+
+    setTabPinned(tab, pinned) {
+        const index = this.tabs.indexOf(tab);
+        if (index === -1) return;
+
+        // A newly pinned tab goes to the end of the pinned group, an unpinned one to the start of the rest
+        const pinnedCount = this.tabs.filter(other => other.pinned).length;
+        if (pinned) {
+            tab.pinned = true;
+        } else {
+            delete tab.pinned;
+        }
+        // moveTab saves and redraws the tabs itself when the tab changes place
+        if (!this.moveTab(index, pinned ? pinnedCount : pinnedCount - 1)) {
+            this.saveTabsToStorage();
+            this.renderTabs();
+        }
+    }
+
+    setTabColor(tab, color) {
+        if (color) {
+            tab.color = color;
+        } else {
+            delete tab.color;
+        }
+        this.saveTabsToStorage();
+        this.renderTabs();
+    }
+
+    openTabMenu(tab, x, y) {
+        this.closeTabMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'tab-menu';
+        menu.setAttribute('role', 'menu');
+
+        const addItem = (label, action) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'tab-menu-item';
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                this.closeTabMenu();
+                action();
+            });
+            menu.appendChild(item);
         };
 
-        tabElement.appendChild(titleSpan);
-        tabElement.appendChild(closeBtn);
-        tabElement.addEventListener('click', () => this.switchTab(index));
-        
-        return tabElement;
+        addItem('Rename', () => {
+            const tabElement = this.tabContainer.querySelector(`.tab[data-tab-id="${tab.id}"]`);
+            if (tabElement) this.startRename(tab, tabElement);
+        });
+        addItem(tab.pinned ? 'Unpin' : 'Pin', () => this.setTabPinned(tab, !tab.pinned));
+
+        const colors = document.createElement('div');
+        colors.className = 'tab-menu-colors';
+        [''].concat(TabManager.tabColors).forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = `tab-color-swatch ${color ? `tab-color-${color}` : 'no-color'}`;
+            swatch.title = color ? color.charAt(0).toUpperCase() + color.slice(1) : 'No color';
+            swatch.classList.toggle('selected', (tab.color || '') === color);
+            swatch.addEventListener('click', () => {
+                this.closeTabMenu();
+                this.setTabColor(tab, color);
+            });
+            colors.appendChild(swatch);
+        });
+        menu.appendChild(colors);
+
+        if (!tab.pinned) {
+            addItem('Close', () => this.closeTab(this.tabs.indexOf(tab)));
+        }
+
+        document.body.appendChild(menu);
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width))}px`;
+        menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height))}px`;
+        this.tabMenu = menu;
+
+        document.addEventListener('mousedown', this.menuDismissHandler);
+        document.addEventListener('keydown', this.menuDismissHandler);
+    }
+
+    closeTabMenu() {
+        if (!this.tabMenu) return;
+
+        this.tabMenu.remove();
+        this.tabMenu = null;
+        document.removeEventListener('mousedown', this.menuDismissHandler);
+        document.removeEventListener('keydown', this.menuDismissHandler);
+    }
+
+    // The "all tabs" button only appears once the tabs no longer fit in the tab bar
+    updateOverflow() {
+        const overflowing = this.tabContainer.scrollWidth > this.tabContainer.clientWidth;
+        this.allTabsBtn.hidden = !overflowing && this.allTabsMenu.hidden;
+    }
+
+    toggleAllTabsMenu() {
+        if (this.allTabsMenu.hidden) {
+            this.renderAllTabsMenu();
+            this.allTabsMenu.hidden = false;
+            document.addEventListener('mousedown', this.allTabsDismissHandler);
+        } else {
+            this.closeAllTabsMenu();
+        }
+    }
+
+    closeAllTabsMenu() {
+        this.allTabsMenu.hidden = true;
+        document.removeEventListener('mousedown', this.allTabsDismissHandler);
+        this.updateOverflow();
+    }
+
+    renderAllTabsMenu() {
+        const currentTab = this.getCurrentTab();
+        this.allTabsMenu.replaceChildren(...this.getVisibleTabs().map(tab => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'all-tabs-item';
+            item.classList.toggle('active', tab === currentTab);
+            if (tab.color) {
+                item.classList.add(`tab-color-${tab.color}`);
+            }
+            item.textContent = `${tab.pinned ? '📌 ' : ''}${tab.title}`;
+            item.addEventListener('click', () => {
+                this.closeAllTabsMenu();
+                this.switchTab(this.tabs.indexOf(tab));
+            });
+            return item;
+        }));
     }
 
     highlightActiveTab() {
-        const tabElements = this.tabContainer.querySelectorAll('.tab');
-        tabElements.forEach((tab, index) => {
-            tab.classList.toggle('active', index === this.currentTabIndex);
+        const currentTab = this.getCurrentTab();
+        let activeElement = null;
+        this.tabContainer.querySelectorAll('.tab').forEach(tabElement => {
+            const active = Boolean(currentTab) && tabElement.dataset.tabId === currentTab.id;
+            tabElement.classList.toggle('active', active);
+            if (active) activeElement = tabElement;
         });
+
+        if (activeElement && activeElement.scrollIntoView) {
+            activeElement.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
     }
 
-    updateLineNumbers() {
-        const lines = this.noteElement.innerText.split('\n').length;
-        this.lineNumberElement.innerText = Array.from({ length: lines }, (_, i) => i + 1).join('\n');
+    getCurrentTab() {
+        return this.tabs[this.currentTabIndex] || null;
+    }
+
+    onTabSwitch(listener) {
+        this.tabSwitchListeners.add(listener);
+    }
+
+    onContentChange(listener) {
+        this.contentChangeListeners.add(listener);
+    }
+
+    // Called after the tab strip was redrawn for added, closed, moved, renamed or relabelled tabs
+    onTabsChange(listener) {
+        this.tabsChangeListeners.add(listener);
+    }
+
+    // Switches to the next (step 1) or previous (step -1) tab of the tab strip, wrapping around
+    cycleTab(step) {
+        const visibleTabs = this.getVisibleTabs();
+        if (visibleTabs.length < 2) return;
+
+        const position = visibleTabs.indexOf(this.getCurrentTab());
+        const target = visibleTabs[(position + step + visibleTabs.length) % visibleTabs.length];
+        this.switchTab(this.tabs.indexOf(target));
+    }
+
+    // Limits the tab strip to tabs matching the predicate; the current tab is always shown
+    setTabFilter(filter) {
+        this.tabFilter = filter;
+        this.renderTabs();
+    }
+
+    getVisibleTabs() {
+        const currentTab = this.getCurrentTab();
+        return this.tabFilter
+            ? this.tabs.filter(tab => tab === currentTab || this.tabFilter(tab))
+            : this.tabs;
+    }
+
+    // Replaces the editor text programmatically; typing is reported through the note's own input event
+    setNoteContent(content) {
+        const started = performance.now();
+        this.noteElement.innerText = content;
+        this.noteText = null;
+        this.contentChangeListeners.forEach(listener => listener(content));
+        requestAnimationFrame(() => recordMeasure('open-note', started, TabManager.openBudget));
+    }
+
+    // The note's text, read from the editor once per edit however many managers ask for it
+    getNoteText() {
+        if (this.noteText === null) {
+            this.noteText = this.noteElement.innerText;
+        }
+        return this.noteText;
     }
 
     syncScroll() {
@@ -488,14 +2089,124 @@ class TabManager {
         StorageManager.saveToLocalStorage('tabs', JSON.stringify(this.tabs));
         StorageManager.saveToLocalStorage('currentTabIndex', this.currentTabIndex);
     }
+
+    handleStorageChange(changes, origin) {
+        if (origin === 'local') return;
+
+        if (changes.has('tabs') && changes.get('tabs') !== null) {
+            this.reloadTabs(JSON.parse(changes.get('tabs')));
+        }
+
+        this.tabs.forEach((tab, index) => {
+            if (!changes.has(tab.id)) return;
+            const content = changes.get(tab.id) || '';
+            const historyManager = this.tabHistories[tab.id];
+
+            if (index === this.currentTabIndex) {
+                const editorContent = this.noteElement.innerText;
+                if (editorContent === content) {
+                    this.savedContents[tab.id] = content;
+                    return;
+                }
+                if (editorContent !== this.savedContents[tab.id]) {
+                    this.showEditConflict(tab, content);
+                    return;
+                }
+                this.setNoteContent(content);
+            }
+            this.savedContents[tab.id] = content;
+            historyManager.pushState(content);
+        });
+    }
+
+    // Replaces the stored text of any open tab as one undoable step
+    setTabContent(tabId, content) {
+        StorageManager.saveToLocalStorage(tabId, content);
+        this.savedContents[tabId] = content;
+        this.tabHistories[tabId].pushState(content);
+        this.debouncedPersistHistories();
+
+        const currentTab = this.getCurrentTab();
+        if (currentTab && currentTab.id === tabId) {
+            this.setNoteContent(content);
+        }
+    }
+
+    commitContent(content) {
+        if (this.currentTabIndex === -1) return;
+        const currentTab = this.tabs[this.currentTabIndex];
+
+        this.saveCurrentTabContent();
+        this.tabHistories[currentTab.id].pushState(content);
+        this.setNoteContent(content);
+        this.saveCurrentTabContent();
+    }
+
+    showEditConflict(tab, theirs) {
+        this.editConflict = { tabId: tab.id, theirs };
+        this.conflictBar.hidden = false;
+    }
+
+    resolveEditConflict(choice) {
+        const conflict = this.editConflict;
+        if (!conflict) return;
+        this.editConflict = null;
+        this.conflictBar.hidden = true;
+
+        const index = this.tabs.findIndex(tab => tab.id === conflict.tabId);
+        if (index === -1 || index !== this.currentTabIndex) return;
+
+        const mine = this.noteElement.innerText;
+        if (choice === 'mine') {
+            this.saveCurrentTabContent();
+            return;
+        }
+
+        if (choice === 'both') {
+            this.insertTab(`${this.tabs[index].title} (my copy)`, mine, index + 1);
+        }
+        this.setNoteContent(conflict.theirs);
+        this.tabHistories[conflict.tabId].pushState(conflict.theirs);
+    }
+
+    reloadTabs(tabs) {
+        const currentTab = this.tabs[this.currentTabIndex];
+        this.tabs = tabs;
+
+        this.tabs.forEach(tab => {
+            if (!this.tabHistories[tab.id]) {
+                this.createHistory(tab.id);
+            }
+        });
+        Object.keys(this.tabHistories).forEach(tabId => {
+            if (!this.tabs.some(tab => tab.id === tabId)) {
+                delete this.tabHistories[tabId];
+                delete this.savedContents[tabId];
+            }
+        });
+
+        const newIndex = currentTab ? this.tabs.findIndex(tab => tab.id === currentTab.id) : -1;
+        const fallbackIndex = Math.min(Math.max(this.currentTabIndex, 0), this.tabs.length - 1);
+        this.currentTabIndex = newIndex;
+        this.renderTabs();
+
+        if (newIndex === -1 && this.tabs.length > 0) {
+            this.switchTab(fallbackIndex);
+        }
+    }
     
     cleanup() {
         if (this.scrollHandler) {
             this.noteElement.removeEventListener('scroll', this.scrollHandler);
         }
-        if (this.undoRedoHandler) {
-            document.removeEventListener('keydown', this.undoRedoHandler);
-        }
+        this.noteElement.removeEventListener('beforeinput', this.beforeInputHandler);
+        this.noteElement.removeEventListener('input', this.inputHandler);
+        document.removeEventListener('input', this.textInvalidationHandler, true);
+        document.removeEventListener('input', this.keystrokeHandler);
+        window.removeEventListener('pagehide', this.pageHideHandler);
+        window.removeEventListener('resize', this.resizeHandler);
+        this.closeTabMenu();
+        this.closeAllTabsMenu();
     }
 }
 
@@ -509,6 +2220,11 @@ class DarkModeManager {
         this.toggle.addEventListener("change", () => this.toggleDarkMode());
     }
 
+    flip() {
+        this.toggle.checked = !this.toggle.checked;
+        this.toggleDarkMode();
+    }
+
     toggleDarkMode() {
         if (this.toggle.checked) {
             document.body.classList.add("dark-mode");
@@ -520,465 +2236,5802 @@ class DarkModeManager {
     }
 }
 
-class AiTabs {
-    constructor(tabSelector, contentSelector, sectionManager) {
-        this.tabElements = document.querySelectorAll(tabSelector);
-        this.contentElements = document.querySelectorAll(contentSelector);
-        this.sectionManager = sectionManager;
-        this.bindEvents();
-        this.switchTab(document.querySelector('.rightTab.active'));
+// SyncManager Class: Mirrors tabs and notes into chrome.storage.sync so they follow the browser profile
+class SyncManager {
+    static maxChunkBytes = 7000;
+    static maxSyncedNoteBytes = 32 * 1024;
+
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.statusElement = document.getElementById('syncStatus');
+        this.available = typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+        this.enabled = StorageManager.getFromLocalStorage('syncEnabled') === 'enabled';
+        this.state = { deviceId: null, bases: {}, localOnly: [] };
+        this.dirtyNotes = new Set();
+        this.tabsDirty = false;
+        this.conflicts = 0;
+        this.isLeader = false;
+        this.leadership = null;
+
+        this.schedulePush = debounce(() => this.pushChanges(), 2000);
+
+        if (!this.available) {
+            this.statusElement.style.display = 'none';
+            return;
+        }
+
+        this.statusElement.addEventListener('click', () => this.toggleSync());
+        StorageManager.addChangeListener((changes, origin) => this.handleLocalChange(changes, origin));
+        chrome.storage.onChanged.addListener((changes, areaName) => this.handleRemoteChange(changes, areaName));
+
+        this.setStatus(this.enabled ? 'syncing' : 'off');
+        if (this.enabled) {
+            this.start();
+        }
     }
 
-    bindEvents() {
-        this.tabElements.forEach(button => {
-            button.addEventListener("click", () => {
-                this.switchTab(button);
+    // Only one notepad window talks to chrome.storage.sync; the others receive its changes through StorageManager
+    acquireLeadership() {
+        if (!this.leadership) {
+            this.leadership = new Promise(resolve => {
+                if (!navigator.locks) {
+                    resolve();
+                    return;
+                }
+                navigator.locks.request('browser-notepad-sync', () => {
+                    resolve();
+                    return new Promise(() => {});
+                });
             });
-        });
+        }
+        return this.leadership;
     }
 
-    switchTab(button) {
-        this.tabElements.forEach(tab => tab.classList.remove("active"));
-        this.contentElements.forEach(content => content.style.display = "none");
-        button.classList.add("active");
-        const contentElement = document.getElementById(button.dataset.tab);
-        if (contentElement) {
-            contentElement.style.display = "block";
-            this.sectionManager.switchSection(button.dataset.tab);
+    async start() {
+        if (!this.isLeader) {
+            this.setStatus('synced', 'Another notepad window is syncing your notes.');
+            await this.acquireLeadership();
+            this.isLeader = true;
+            if (!this.enabled) return;
+            this.setStatus('syncing');
+        }
+
+        try {
+            await this.loadState();
+            await this.pullAll();
+            this.tabManager.tabs.forEach(tab => this.dirtyNotes.add(tab.id));
+            this.tabsDirty = true;
+            await this.pushChanges();
+        } catch (error) {
+            this.setStatus('error', error.message);
         }
     }
-}
 
-class TranslationManager {
-    constructor(sectionManager) {
-        this.selectElement = document.getElementById('translationLanguageSelect');
-        this.defaultLanguage = 'en';
-        this.sectionManager = sectionManager;
-        
-        if (this.selectElement.options.length === 0) {
-            this.populateLanguageSelect();
+    async toggleSync() {
+        if (this.enabled && this.conflicts > 0) {
+            alert('Some notes were edited on two devices. Both versions were kept: look for tabs titled "conflicted copy".');
+            this.conflicts = 0;
+            this.showResultStatus();
+            return;
         }
-        
-        this.loadLanguage();
-        this.bindEvents();
+
+        if (this.enabled) {
+            if (!confirm('Stop syncing notes across devices? Notes stay on this device.')) return;
+            this.enabled = false;
+            StorageManager.saveToLocalStorage('syncEnabled', 'disabled');
+            this.setStatus('off');
+            return;
+        }
+
+        this.enabled = true;
+        StorageManager.saveToLocalStorage('syncEnabled', 'enabled');
+        this.setStatus('syncing');
+        await this.start();
     }
-    
-    populateLanguageSelect() {
-        const languages = {
-            "Afrikaans": "af", "Albanian": "sq", "Amharic": "am", "Arabic": "ar", "Armenian": "hy",
-            "Assamese": "as", "Aymara": "ay", "Azerbaijani": "az", "Bambara": "bm", "Basque": "eu",
-            "Belarusian": "be", "Bengali": "bn", "Bhojpuri": "bho", "Bosnian": "bs", "Bulgarian": "bg",
-            "Burmese": "my", "Catalan": "ca", "Cebuano": "ceb", "Chichewa": "ny", "Chinese (Simplified)": "zh-Hans",
-            "Chinese (Traditional)": "zh-Hant", "Corsican": "co", "Croatian": "hr", "Czech": "cs", "Danish": "da",
-            "Dhivehi": "dv", "Dogri": "doi", "Dutch": "nl", "English": "en", "Esperanto": "eo",
-            "Estonian": "et", "Ewe": "ee", "Filipino": "fil", "Finnish": "fi", "French": "fr",
-            "Frisian": "fy", "Galician": "gl", "Georgian": "ka", "German": "de", "Greek": "el",
-            "Guarani": "gn", "Gujarati": "gu", "Haitian Creole": "ht", "Hausa": "ha", "Hawaiian": "haw",
-            "Hebrew": "he", "Hindi": "hi", "Hmong": "hmn", "Hungarian": "hu", "Icelandic": "is",
-            "Igbo": "ig", "Iloko": "ilo", "Indonesian": "id", "Irish": "ga", "Italian": "it",
-            "Japanese": "ja", "Javanese": "jw", "Kannada": "kn", "Kazakh": "kk", "Khmer": "km",
-            "Kinyarwanda": "rw", "Konkani": "gom", "Korean": "ko", "Krio": "kri", "Kurdish": "ku",
-            "Kyrgyz": "ky", "Lao": "lo", "Latin": "la", "Latvian": "lv", "Lingala": "ln",
-            "Lithuanian": "lt", "Luganda": "lg", "Luxembourgish": "lb", "Macedonian": "mk", "Maithili": "mai",
-            "Malagasy": "mg", "Malay": "ms", "Malayalam": "ml", "Maltese": "mt", "Maori": "mi",
-            "Marathi": "mr", "Meiteilon (Manipuri)": "mni-Mtei", "Mizo": "lus", "Mongolian": "mn", "Nepali": "ne",
-            "Norwegian": "no", "Odia (Oriya)": "or", "Oromo": "om", "Pashto": "ps", "Persian": "fa",
-            "Polish": "pl", "Portuguese": "pt", "Punjabi": "pa", "Quechua": "qu", "Romanian": "ro",
-            "Russian": "ru", "Samoan": "sm", "Sanskrit": "sa", "Scots Gaelic": "gd", "Sepedi": "nso",
-            "Serbian": "sr", "Sesotho": "st", "Shona": "sn", "Sindhi": "sd", "Sinhala": "si",
-            "Slovak": "sk", "Slovenian": "sl", "Somali": "so", "Spanish": "es", "Sundanese": "su",
-            "Swahili": "sw", "Swedish": "sv", "Tagalog": "tl", "Tajik": "tg", "Tamil": "ta",
-            "Tatar": "tt", "Telugu": "te", "Thai": "th", "Tigrinya": "ti", "Tsonga": "ts",
-            "Turkish": "tr", "Turkmen": "tk", "Twi": "ak", "Ukrainian": "uk", "Urdu": "ur",
-            "Uyghur": "ug", "Uzbek": "uz", "Vietnamese": "vi", "Welsh": "cy", "Xhosa": "xh",
-            "Yiddish": "yi", "Yoruba": "yo", "Zulu": "zu"
+
+    setStatus(status, detail = '') {
+        const labels = {
+            off: '☁ Sync off',
+            syncing: '☁ Syncing…',
+            synced: '☁ Synced',
+            conflict: '☁ Conflict',
+            error: '☁ Sync error'
         };
-    
-        const fragment = document.createDocumentFragment();
-        
-        for (const [name, code] of Object.entries(languages)) {
-            const option = document.createElement('option');
-            option.value = code;
-            option.textContent = name;
-            fragment.appendChild(option);
+        const titles = {
+            off: 'Notes are only stored on this device. Click to sync them with your browser profile.',
+            syncing: 'Saving notes to your browser profile…',
+            synced: 'Notes are synced with your browser profile. Click to stop syncing.',
+            conflict: 'A note was edited on two devices. The other version was kept as a separate "conflicted copy" tab.',
+            error: 'Notes could not be synced.'
+        };
+
+        this.statusElement.textContent = labels[status];
+        this.statusElement.title = detail ? `${titles[status]} ${detail}` : titles[status];
+        this.statusElement.className = `sync-status sync-${status}`;
+    }
+
+    showResultStatus() {
+        if (!this.enabled || !this.isLeader) return;
+        if (this.conflicts > 0) {
+            this.setStatus('conflict');
+        } else if (this.state.localOnly.length > 0) {
+            this.setStatus('synced', `${this.state.localOnly.length} note(s) do not fit in the sync storage and are only saved on this device.`);
+        } else {
+            this.setStatus('synced');
         }
-        this.selectElement.appendChild(fragment);
     }
 
-    bindEvents() {
-        this.selectElement.addEventListener('change', () => {
+    async loadState() {
+        const { syncState } = await chrome.storage.local.get('syncState');
+        this.state = Object.assign({ deviceId: null, bases: {}, localOnly: [] }, syncState);
+        if (!this.state.deviceId) {
+            this.state.deviceId = `device-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            await this.saveState();
+        }
+    }
+
+    saveState() {
+        return chrome.storage.local.set({ syncState: this.state });
+    }
+
+    handleLocalChange(changes, origin) {
+        if (origin === 'broadcast' && changes.has('syncEnabled')) {
+            this.applyRemoteToggle(changes.get('syncEnabled') === 'enabled');
+        }
+        if (!this.enabled || !this.isLeader || origin === 'sync') return;
+
+        changes.forEach((value, key) => {
+            if (key === 'tabs') {
+                this.tabsDirty = true;
+            } else if (/^note-\d+$/.test(key)) {
+                this.dirtyNotes.add(key);
+            }
+        });
+
+        if (this.tabsDirty || this.dirtyNotes.size > 0) {
+            this.schedulePush();
+        }
+    }
+
+    applyRemoteToggle(enabled) {
+        if (this.enabled === enabled) return;
+        this.enabled = enabled;
+        if (enabled) {
+            this.setStatus('syncing');
+            this.start();
+        } else {
+            this.setStatus('off');
+        }
+    }
+
+    handleRemoteChange(changes, areaName) {
+        if (!this.enabled || !this.isLeader || areaName !== 'sync') return;
+
+        Object.entries(changes).forEach(([key, change]) => {
+            const meta = change.newValue;
+            if (!key.endsWith('-meta') || !meta || meta.device === this.state.deviceId) return;
+
+            const name = key.slice(0, -'-meta'.length);
+            if (name === 'sync-tabs') {
+                this.pullTabs(meta).catch(error => this.setStatus('error', error.message));
+            } else if (name.startsWith('sync-note-')) {
+                this.pullNote(name.slice('sync-note-'.length), meta).catch(error => this.setStatus('error', error.message));
+            }
+        });
+    }
+
+    async pullAll() {
+        const meta = (await chrome.storage.sync.get('sync-tabs-meta'))['sync-tabs-meta'];
+        if (meta) {
+            await this.pullTabs(meta);
+        }
+    }
+
+    // Merges the remote tab list with tabs that were never synced from this device
+    async pullTabs(meta) {
+        const remoteTabs = JSON.parse(await this.readDocument('sync-tabs', meta));
+        const remoteIds = new Set(remoteTabs.map(tab => tab.id));
+        const localTabs = this.tabManager.tabs;
+
+        const merged = remoteTabs.map(remoteTab => {
+            const localTab = localTabs.find(tab => tab.id === remoteTab.id);
+            return Object.assign({}, localTab, remoteTab);
+        });
+        const closedTabs = [];
+        localTabs.forEach((tab, index) => {
+            if (remoteIds.has(tab.id)) return;
+
+            const neverSynced = !(tab.id in this.state.bases) || this.state.localOnly.includes(tab.id);
+            if (neverSynced) {
+                merged.splice(Math.min(index, merged.length), 0, tab);
+            } else {
+                closedTabs.push({ tab, index });
+            }
+        });
+
+        if (merged.length === 0) return;
+
+        // Tabs closed on another device go to the recycle bin with their text, AI outputs and history, as if closed here
+        this.tabManager.saveCurrentTabContent();
+        closedTabs.forEach(({ tab, index }) => {
+            this.tabManager.trashManager.moveToTrash(tab, index);
+            delete this.state.bases[tab.id];
+        });
+
+        StorageManager.applyExternalChanges(new Map([['tabs', JSON.stringify(merged)]]), 'sync');
+
+        const noteMetaKeys = remoteTabs.map(tab => `sync-note-${tab.id}-meta`);
+        const noteMetas = await chrome.storage.sync.get(noteMetaKeys);
+        for (const tab of remoteTabs) {
+            const noteMeta = noteMetas[`sync-note-${tab.id}-meta`];
+            if (noteMeta) {
+                await this.pullNote(tab.id, noteMeta);
+            }
+        }
+        await this.saveState();
+        this.showResultStatus();
+    }
+
+    async pullNote(noteId, meta) {
+        this.tabManager.saveCurrentTabContent();
+        StorageManager.flushWrites();
+
+        const localContent = StorageManager.getFromLocalStorage(noteId, '');
+        const localHash = hashString(localContent);
+        const base = this.state.bases[noteId];
+
+        if (localHash === meta.hash) {
+            this.state.bases[noteId] = meta.hash;
+            return;
+        }
+
+        const remoteContent = await this.readDocument(`sync-note-${noteId}`, meta);
+        const unchangedLocally = base === undefined ? localContent === '' : localHash === base;
+
+        if (unchangedLocally) {
+            StorageManager.applyExternalChanges(new Map([[noteId, remoteContent]]), 'sync');
+        } else {
+            this.keepConflictedCopy(noteId, remoteContent);
+            this.dirtyNotes.add(noteId);
+            this.schedulePush();
+        }
+        this.state.bases[noteId] = meta.hash;
+        await this.saveState();
+        this.showResultStatus();
+    }
+
+    keepConflictedCopy(noteId, content) {
+        const index = this.tabManager.tabs.findIndex(tab => tab.id === noteId);
+        const title = index === -1 ? 'Note' : this.tabManager.tabs[index].title;
+        const stamp = new Date().toLocaleString();
+        this.tabManager.insertTab(`${title} (conflicted copy ${stamp})`, content, index === -1 ? undefined : index + 1);
+        this.conflicts += 1;
+    }
+
+    async pushChanges() {
+        if (!this.enabled || !this.state.deviceId) return;
+        this.setStatus('syncing');
+
+        try {
+            // A note stays dirty until it was pushed, so a failed push is retried with the next one
+            for (const noteId of Array.from(this.dirtyNotes)) {
+                await this.pushNote(noteId);
+                this.dirtyNotes.delete(noteId);
+            }
+
+            if (this.tabsDirty) {
+                const syncedTabs = this.tabManager.tabs.filter(tab => !this.state.localOnly.includes(tab.id));
+                await this.writeDocument('sync-tabs', JSON.stringify(syncedTabs));
+                this.tabsDirty = false;
+            }
+
+            await this.saveState();
+            this.showResultStatus();
+        } catch (error) {
+            this.setStatus('error', error.message);
+        }
+    }
+
+    async pushNote(noteId) {
+        const exists = this.tabManager.tabs.some(tab => tab.id === noteId);
+        const documentName = `sync-note-${noteId}`;
+
+        if (!exists) {
+            await this.removeDocument(documentName);
+            await chrome.storage.local.remove(documentName);
+            delete this.state.bases[noteId];
+            this.state.localOnly = this.state.localOnly.filter(id => id !== noteId);
+            return;
+        }
+
+        const content = StorageManager.getFromLocalStorage(noteId, '');
+        const hash = hashString(content);
+        const base = this.state.bases[noteId];
+        if (base === hash) return;
+
+        const remoteMeta = (await chrome.storage.sync.get(`${documentName}-meta`))[`${documentName}-meta`];
+        if (remoteMeta && remoteMeta.device !== this.state.deviceId && remoteMeta.hash !== base && remoteMeta.hash !== hash) {
+            this.keepConflictedCopy(noteId, await this.readDocument(documentName, remoteMeta));
+        }
+
+        const wasLocalOnly = this.state.localOnly.includes(noteId);
+        if (byteLength(content) > SyncManager.maxSyncedNoteBytes) {
+            await this.keepLocalOnly(noteId, content);
+        } else {
+            try {
+                await this.writeDocument(documentName, content, hash);
+            } catch (error) {
+                // When the total sync quota is used up the note stays on this device instead of failing every push
+                if (!SyncManager.isTotalQuotaError(error)) throw error;
+                await this.keepLocalOnly(noteId, content);
+                this.state.bases[noteId] = hash;
+                return;
+            }
+            if (wasLocalOnly) {
+                await chrome.storage.local.remove(documentName);
+                this.state.localOnly = this.state.localOnly.filter(id => id !== noteId);
+                this.tabsDirty = true;
+            }
+        }
+        this.state.bases[noteId] = hash;
+    }
+
+    async keepLocalOnly(noteId, content) {
+        const documentName = `sync-note-${noteId}`;
+        await chrome.storage.local.set({ [documentName]: content });
+        await this.removeDocument(documentName);
+        if (!this.state.localOnly.includes(noteId)) {
+            this.state.localOnly.push(noteId);
+            this.tabsDirty = true;
+        }
+    }
+
+    // chrome.storage.sync reports "QUOTA_BYTES quota exceeded" once its ~100KB in total are used
+    static isTotalQuotaError(error) {
+        return /\bQUOTA_BYTES\b/.test(error && error.message);
+    }
+
+    // Splits a string into items that fit chrome.storage.sync's per-item quota
+    static chunkText(text, maxBytes) {
+        const chunks = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = Math.min(text.length, start + maxBytes);
+            while (byteLength(JSON.stringify(text.slice(start, end))) > maxBytes) {
+                end = start + Math.max(1, Math.floor((end - start) * 0.8));
+            }
+            const lastCode = text.charCodeAt(end - 1);
+            if (end < text.length && end - start > 1 && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+                end -= 1;
+            }
+            chunks.push(text.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    async writeDocument(name, text, hash = hashString(text)) {
+        const chunks = SyncManager.chunkText(text, SyncManager.maxChunkBytes);
+        const previous = (await chrome.storage.sync.get(`${name}-meta`))[`${name}-meta`];
+
+        const items = {
+            [`${name}-meta`]: {
+                hash,
+                chunks: chunks.length,
+                device: this.state.deviceId,
+                updatedAt: Date.now()
+            }
+        };
+        chunks.forEach((chunk, index) => {
+            items[`${name}-${index}`] = chunk;
+        });
+        await chrome.storage.sync.set(items);
+
+        if (previous && previous.chunks > chunks.length) {
+            const staleKeys = [];
+            for (let index = chunks.length; index < previous.chunks; index++) {
+                staleKeys.push(`${name}-${index}`);
+            }
+            await chrome.storage.sync.remove(staleKeys);
+        }
+    }
+
+    async readDocument(name, meta) {
+        const keys = Array.from({ length: meta.chunks }, (_, index) => `${name}-${index}`);
+        const items = await chrome.storage.sync.get(keys);
+        return keys.map(key => items[key] || '').join('');
+    }
+
+    async removeDocument(name) {
+        const meta = (await chrome.storage.sync.get(`${name}-meta`))[`${name}-meta`];
+        if (!meta) return;
+        const keys = Array.from({ length: meta.chunks }, (_, index) => `${name}-${index}`);
+        await chrome.storage.sync.remove([`${name}-meta`, ...keys]);
+    }
+}
+
+class AiTabs {
+    constructor(tabSelector, contentSelector, sectionManager) {
+        this.tabElements = document.querySelectorAll(tabSelector);
+        this.contentElements = document.querySelectorAll(contentSelector);
+        this.sectionManager = sectionManager;
+
+        // The active section is shared, so every open window shows the section picked last
+        this.storageChangeHandler = (changes, origin) => {
+            if (origin !== 'local' && changes.has('activeAiSection')) {
+                const button = this.findTab(changes.get('activeAiSection'));
+                if (button) this.showTab(button);
+            }
+        };
+
+        this.bindEvents();
+        const savedSection = StorageManager.getFromLocalStorage('activeAiSection', null);
+        this.showTab(this.findTab(savedSection) || document.querySelector('.rightTab.active'));
+        StorageManager.addChangeListener(this.storageChangeHandler);
+    }
+
+    bindEvents() {
+        this.tabElements.forEach(button => {
+            button.addEventListener("click", () => {
+                this.switchTab(button);
+            });
+        });
+    }
+
+    findTab(section) {
+        return Array.from(this.tabElements).find(button => button.dataset.tab === section) || null;
+    }
+
+    switchTab(button) {
+        this.showTab(button);
+        StorageManager.saveToLocalStorage('activeAiSection', button.dataset.tab);
+    }
+
+    showTab(button) {
+        this.tabElements.forEach(tab => tab.classList.remove("active"));
+        this.contentElements.forEach(content => content.style.display = "none");
+        button.classList.add("active");
+        const contentElement = document.getElementById(button.dataset.tab);
+        if (contentElement) {
+            contentElement.style.display = "block";
+            this.sectionManager.switchSection(button.dataset.tab);
+        }
+    }
+
+    cleanup() {
+        StorageManager.removeChangeListener(this.storageChangeHandler);
+    }
+}
+
+class TranslationManager {
+    constructor(sectionManager) {
+        this.selectElement = document.getElementById('translationLanguageSelect');
+        this.defaultLanguage = 'en';
+        this.sectionManager = sectionManager;
+        
+        if (this.selectElement.options.length === 0) {
+            this.populateLanguageSelect();
+        }
+        
+        this.loadLanguage();
+        this.bindEvents();
+    }
+    
+    populateLanguageSelect() {
+        const languages = {
+            "Afrikaans": "af", "Albanian": "sq", "Amharic": "am", "Arabic": "ar", "Armenian": "hy",
+            "Assamese": "as", "Aymara": "ay", "Azerbaijani": "az", "Bambara": "bm", "Basque": "eu",
+            "Belarusian": "be", "Bengali": "bn", "Bhojpuri": "bho", "Bosnian": "bs", "Bulgarian": "bg",
+            "Burmese": "my", "Catalan": "ca", "Cebuano": "ceb", "Chichewa": "ny", "Chinese (Simplified)": "zh-Hans",
+            "Chinese (Traditional)": "zh-Hant", "Corsican": "co", "Croatian": "hr", "Czech": "cs", "Danish": "da",
+            "Dhivehi": "dv", "Dogri": "doi", "Dutch": "nl", "English": "en", "Esperanto": "eo",
+            "Estonian": "et", "Ewe": "ee", "Filipino": "fil", "Finnish": "fi", "French": "fr",
+            "Frisian": "fy", "Galician": "gl", "Georgian": "ka", "German": "de", "Greek": "el",
+            "Guarani": "gn", "Gujarati": "gu", "Haitian Creole": "ht", "Hausa": "ha", "Hawaiian": "haw",
+            "Hebrew": "he", "Hindi": "hi", "Hmong": "hmn", "Hungarian": "hu", "Icelandic": "is",
+            "Igbo": "ig", "Iloko": "ilo", "Indonesian": "id", "Irish": "ga", "Italian": "it",
+            "Japanese": "ja", "Javanese": "jw", "Kannada": "kn", "Kazakh": "kk", "Khmer": "km",
+            "Kinyarwanda": "rw", "Konkani": "gom", "Korean": "ko", "Krio": "kri", "Kurdish": "ku",
+            "Kyrgyz": "ky", "Lao": "lo", "Latin": "la", "Latvian": "lv", "Lingala": "ln",
+            "Lithuanian": "lt", "Luganda": "lg", "Luxembourgish": "lb", "Macedonian": "mk", "Maithili": "mai",
+            "Malagasy": "mg", "Malay": "ms", "Malayalam": "ml", "Maltese": "mt", "Maori": "mi",
+            "Marathi": "mr", "Meiteilon (Manipuri)": "mni-Mtei", "Mizo": "lus", "Mongolian": "mn", "Nepali": "ne",
+            "Norwegian": "no", "Odia (Oriya)": "or", "Oromo": "om", "Pashto": "ps", "Persian": "fa",
+            "Polish": "pl", "Portuguese": "pt", "Punjabi": "pa", "Quechua": "qu", "Romanian": "ro",
+            "Russian": "ru", "Samoan": "sm", "Sanskrit": "sa", "Scots Gaelic": "gd", "Sepedi": "nso",
+            "Serbian": "sr", "Sesotho": "st", "Shona": "sn", "Sindhi": "sd", "Sinhala": "si",
+            "Slovak": "sk", "Slovenian": "sl", "Somali": "so", "Spanish": "es", "Sundanese": "su",
+            "Swahili": "sw", "Swedish": "sv", "Tagalog": "tl", "Tajik": "tg", "Tamil": "ta",
+            "Tatar": "tt", "Telugu": "te", "Thai": "th", "Tigrinya": "ti", "Tsonga": "ts",
+            "Turkish": "tr", "Turkmen": "tk", "Twi": "ak", "Ukrainian": "uk", "Urdu": "ur",
+            "Uyghur": "ug", "Uzbek": "uz", "Vietnamese": "vi", "Welsh": "cy", "Xhosa": "xh",
+            "Yiddish": "yi", "Yoruba": "yo", "Zulu": "zu"
+        };
+    
+        const fragment = document.createDocumentFragment();
+        
+        for (const [name, code] of Object.entries(languages)) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            fragment.appendChild(option);
+        }
+        this.selectElement.appendChild(fragment);
+    }
+
+    bindEvents() {
+        this.selectElement.addEventListener('change', () => {
             this.saveLanguage();
             this.sectionManager.loadSectionContent('translation');
         });
     }
 
-    loadLanguage() {
-        const savedLanguage = StorageManager.getFromLocalStorage('translationLanguage', this.defaultLanguage);
-        this.selectElement.value = savedLanguage;
+    loadLanguage() {
+        const savedLanguage = StorageManager.getFromLocalStorage('translationLanguage', this.defaultLanguage);
+        this.selectElement.value = savedLanguage;
+    }
+
+    saveLanguage() {
+        const selectedLanguage = this.selectElement.value;
+        StorageManager.saveToLocalStorage('translationLanguage', selectedLanguage);
+    }
+
+    getSelectedLanguage() {
+        return this.selectElement.value;
+    }
+
+    getSelectedLanguageName() {
+        const option = this.selectElement.selectedOptions[0];
+        return option ? option.textContent : this.selectElement.value;
+    }
+}
+
+class ApiKeyManager {
+  constructor() {
+    this.modal = document.getElementById('apiKeyModal');
+    this.providerSelect = document.getElementById('aiProviderSelect');
+    this.providerSettings = document.querySelectorAll('.provider-settings');
+    this.apiKeyInput = document.getElementById('apiKeyInput');
+    this.openAiBaseUrlInput = document.getElementById('openAiBaseUrlInput');
+    this.openAiModelInput = document.getElementById('openAiModelInput');
+    this.openAiApiKeyInput = document.getElementById('openAiApiKeyInput');
+    this.timeoutInput = document.getElementById('aiTimeoutInput');
+    this.saveBtn = document.getElementById('saveApiKeyBtn');
+    this.closeBtn = document.getElementById('closeModalBtn');
+    this.settingsBtn = document.getElementById('settingsButton');
+
+    this.populateProviderSelect();
+    this.bindEvents();
+  }
+
+  populateProviderSelect() {
+    AiProviderRegistry.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.label;
+      this.providerSelect.appendChild(option);
+    });
+  }
+
+  bindEvents() {
+    this.settingsBtn.addEventListener('click', () => {
+      this.showModal();
+    });
+    this.providerSelect.addEventListener('change', () => {
+      this.showProviderSettings(this.providerSelect.value);
+    });
+    this.saveBtn.addEventListener('click', () => {
+      this.saveApiKey();
+    });
+    this.closeBtn.addEventListener('click', () => {
+      this.hideModal();
+    });
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) {
+        this.hideModal();
+      }
+    });
+  }
+
+  showModal() {
+    const providerId = AiProviderRegistry.getActiveProviderId();
+    const openAiSettings = AiProviderRegistry.getSettings(OpenAiCompatibleProvider.id);
+
+    this.providerSelect.value = providerId;
+    this.apiKeyInput.value = StorageManager.getFromLocalStorage('apiKey');
+    this.openAiBaseUrlInput.value = openAiSettings.baseUrl;
+    this.openAiModelInput.value = openAiSettings.model;
+    this.openAiApiKeyInput.value = openAiSettings.apiKey;
+    this.timeoutInput.value = AiProviderRegistry.getTimeout() / 1000;
+
+    this.showProviderSettings(providerId);
+    this.modal.style.display = 'flex';
+  }
+
+  showProviderSettings(providerId) {
+    this.providerSettings.forEach(element => {
+      element.style.display = element.dataset.provider === providerId ? 'block' : 'none';
+    });
+  }
+
+  hideModal() {
+    this.modal.style.display = 'none';
+  }
+
+  saveApiKey() {
+    const providerId = this.providerSelect.value;
+    const timeout = parseInt(this.timeoutInput.value, 10);
+    if (!(timeout >= AiProviderRegistry.minTimeoutSeconds)) {
+      alert(`Please enter a time limit of at least ${AiProviderRegistry.minTimeoutSeconds} seconds.`);
+      return;
+    }
+
+    if (providerId === OpenAiCompatibleProvider.id) {
+      const baseUrl = this.openAiBaseUrlInput.value.trim();
+      const model = this.openAiModelInput.value.trim();
+      if (!baseUrl || !model) {
+        alert('Please enter the server URL and model name.');
+        return;
+      }
+      StorageManager.saveToLocalStorage('openAiBaseUrl', baseUrl);
+      StorageManager.saveToLocalStorage('openAiModel', model);
+      StorageManager.saveToLocalStorage('openAiApiKey', this.openAiApiKeyInput.value.trim());
+    } else {
+      const key = this.apiKeyInput.value.trim();
+      if (!key) {
+        alert('Please enter a valid API key.');
+        return;
+      }
+      StorageManager.saveToLocalStorage('apiKey', key);
+    }
+
+    StorageManager.saveToLocalStorage('aiProvider', providerId);
+    StorageManager.saveToLocalStorage('aiTimeout', timeout);
+    alert('AI settings saved successfully!');
+    this.hideModal();
+  }
+}
+
+// AiProvider: Base class for AI engines. Each adapter turns a section request into plain text.
+class AiProvider {
+    // Longer content is split into chunks of this size, of which at most maxConcurrency run at once
+    static maxChunkChars = 4000;
+    static maxConcurrency = 2;
+    // Time limit of one request in milliseconds, unless options.timeout sets another
+    static defaultTimeout = 120000;
+
+    constructor(settings = {}) {
+        this.settings = settings;
+    }
+
+    isConfigured() {
+        return false;
+    }
+
+    async run(section, content, options = {}) {
+        throw new Error(`${this.constructor.label} does not support this action.`);
+    }
+
+    // Identifies the engine that produces the results, for caching them
+    getCacheId() {
+        return this.constructor.id;
+    }
+
+    // Calls task(signal) with a signal that is aborted by options.signal or once the time limit has passed
+    async withTimeout(options, task) {
+        const timeout = options.timeout || AiProvider.defaultTimeout;
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', abort);
+        }
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        try {
+            return await task(controller.signal);
+        } catch (error) {
+            if (timedOut && error.name === 'AbortError') {
+                throw new Error(`No result within ${Math.round(timeout / 1000)} seconds. Try again or raise the time limit in the AI settings.`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) options.signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+// SharpApiProvider: Hosted SharpAPI engine using its job-and-poll protocol
+class SharpApiProvider extends AiProvider {
+    static id = 'sharpapi';
+    static label = 'SharpAPI (cloud)';
+    static maxChunkChars = 3000;
+    static maxConcurrency = 3;
+    // Polling starts after a second and waits twice as long after every check, up to 15 seconds
+    static firstPollDelay = 1000;
+    static maxPollDelay = 15000;
+    static sectionPaths = {
+        summary: '/v1/content/summarize',
+        translation: '/v1/content/translate',
+        grammar: '/v1/content/proofread',
+        rewriting: '/v1/content/paraphrase',
+        keywords: '/v1/content/keywords'
+    };
+
+    isConfigured() {
+        return Boolean(this.settings.apiKey);
+    }
+
+    async run(section, content, options = {}) {
+        const apiPath = SharpApiProvider.sectionPaths[section];
+        if (!apiPath) {
+            throw new Error('Function not implemented for this section.');
+        }
+
+        const requestBody = { content };
+        if (section === 'translation') {
+            requestBody.language = options.language;
+        }
+
+        return this.withTimeout(options, async (signal) => {
+            const response = await this.callSharpApi('POST', apiPath, requestBody, signal);
+            if (!response.status_url) {
+                throw new Error('No job was returned by SharpAPI.');
+            }
+
+            if (options.onStatus) {
+                options.onStatus('Job accepted. Waiting for result...');
+            }
+            return this.pollForStatus(section, response.status_url, Object.assign({}, options, { signal }));
+        });
+    }
+
+    // Checks the job with exponential backoff until it finishes; the caller's signal ends the polling
+    async pollForStatus(section, statusUrl, options) {
+        let delay = SharpApiProvider.firstPollDelay;
+
+        for (let check = 1; ; check++) {
+            await wait(delay, options.signal);
+            const response = await this.callSharpApi('GET', statusUrl, null, options.signal);
+            const status = response.data.attributes.status;
+
+            if (status === 'completed' || status === 'success') {
+                return this.extractResult(section, JSON.parse(response.data.attributes.result));
+            } else if (status === 'failed') {
+                throw new Error(`Job failed: ${response.data.attributes.message || 'Unknown error'}`);
+            }
+
+            if (options.onStatus) {
+                options.onStatus(`Still processing (checked ${check} time${check === 1 ? '' : 's'})...`);
+            }
+            delay = Math.min(delay * 2, SharpApiProvider.maxPollDelay);
+        }
+    }
+
+    extractResult(section, result) {
+        switch (section) {
+            case 'summary':
+                return result.summary || 'No summary found.';
+            case 'translation':
+                return result.content || 'No translation found.';
+            case 'grammar':
+                return result.proofread || 'No proofread result found.';
+            case 'rewriting':
+                return result.paraphrase || 'No rewritten text found.';
+            case 'keywords':
+                return Array.isArray(result) ? result.join(', ') : 'No keywords found.';
+            default:
+                return 'No result found.';
+        }
+    }
+
+    async callSharpApi(method, path, body = null, signal = undefined) {
+        const url = path.startsWith('http') ? path : `https://sharpapi.com/api${path}`;
+
+        const headers = new Headers();
+        headers.append("Accept", "application/json");
+        headers.append("Authorization", `Bearer ${this.settings.apiKey}`);
+
+        if (method === 'POST') {
+            headers.append("Content-Type", "application/json");
+        }
+
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : null,
+            redirect: "follow",
+            signal
+        });
+        const result = await response.json();
+
+        if (!response.ok && response.status !== 202) {
+            throw new Error(result.message || `API call failed with status ${response.status}`);
+        }
+
+        return result;
+    }
+}
+
+// OpenAiCompatibleProvider: Chat-completions engine, e.g. a local Ollama or llama.cpp server
+class OpenAiCompatibleProvider extends AiProvider {
+    static id = 'openai';
+    static label = 'OpenAI-compatible (local / self-hosted)';
+    static defaultBaseUrl = 'http://localhost:11434/v1';
+    static defaultModel = 'llama3.1';
+    static maxChunkChars = 6000;
+    static maxConcurrency = 1;
+
+    isConfigured() {
+        return Boolean(this.settings.baseUrl && this.settings.model);
+    }
+
+    // Another server or model gives other results
+    getCacheId() {
+        return `${this.constructor.id} ${this.settings.baseUrl.replace(/\/+$/, '')} ${this.settings.model}`;
+    }
+
+    buildPrompt(section, options) {
+        switch (section) {
+            case 'summary':
+                return 'Summarize the following text in a few sentences. Reply with the summary only.';
+            case 'translation':
+                return `Translate the following text into ${options.languageName || options.language}. Reply with the translation only.`;
+            case 'grammar':
+                return 'Correct the spelling and grammar of the following text without changing its meaning. Reply with the corrected text only.';
+            case 'rewriting':
+                return 'Paraphrase the following text, keeping its meaning. Reply with the rewritten text only.';
+            case 'keywords':
+                return 'List the most relevant keywords of the following text as a single comma-separated line. Reply with the keywords only.';
+            default:
+                return null;
+        }
+    }
+
+    async run(section, content, options = {}) {
+        const prompt = this.buildPrompt(section, options);
+        if (!prompt) {
+            throw new Error('Function not implemented for this section.');
+        }
+
+        if (options.onStatus) {
+            options.onStatus(`Waiting for ${this.settings.model}...`);
+        }
+
+        const headers = new Headers();
+        headers.append("Accept", "application/json");
+        headers.append("Content-Type", "application/json");
+        if (this.settings.apiKey) {
+            headers.append("Authorization", `Bearer ${this.settings.apiKey}`);
+        }
+
+        const url = `${this.settings.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        const result = await this.withTimeout(options, async (signal) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: this.settings.model,
+                    temperature: 0.2,
+                    stream: false,
+                    messages: [
+                        { role: 'system', content: prompt },
+                        { role: 'user', content }
+                    ]
+                }),
+                signal
+            });
+
+            const body = await response.json().catch(error => {
+                if (error.name === 'AbortError') throw error;
+                return {};
+            });
+            if (!response.ok) {
+                const message = body.error && (body.error.message || body.error);
+                throw new Error(message || `API call failed with status ${response.status}`);
+            }
+            return body;
+        });
+
+        const text = result.choices && result.choices[0] && result.choices[0].message
+            ? (result.choices[0].message.content || '').trim()
+            : '';
+        if (!text) {
+            return 'No result found.';
+        }
+        return section === 'keywords' ? text.replace(/\s*\n\s*/g, ', ') : text;
+    }
+}
+
+// AiProviderRegistry: Knows the available engines and builds the one selected in settings
+class AiProviderRegistry {
+    static providers = [SharpApiProvider, OpenAiCompatibleProvider];
+    static minTimeoutSeconds = 10;
+
+    static getProviderClass(id) {
+        return this.providers.find(provider => provider.id === id) || SharpApiProvider;
+    }
+
+    static getActiveProviderId() {
+        return this.getProviderClass(StorageManager.getFromLocalStorage('aiProvider', SharpApiProvider.id)).id;
+    }
+
+    static getSettings(id) {
+        if (id === OpenAiCompatibleProvider.id) {
+            return {
+                baseUrl: StorageManager.getFromLocalStorage('openAiBaseUrl', OpenAiCompatibleProvider.defaultBaseUrl),
+                model: StorageManager.getFromLocalStorage('openAiModel', OpenAiCompatibleProvider.defaultModel),
+                apiKey: StorageManager.getFromLocalStorage('openAiApiKey')
+            };
+        }
+        return { apiKey: StorageManager.getFromLocalStorage('apiKey') };
+    }
+
+    // Time limit of one AI request in milliseconds
+    static getTimeout() {
+        const seconds = parseInt(StorageManager.getFromLocalStorage('aiTimeout', AiProvider.defaultTimeout / 1000), 10);
+        return seconds >= AiProviderRegistry.minTimeoutSeconds ? seconds * 1000 : AiProvider.defaultTimeout;
+    }
+
+    static getActiveProvider() {
+        const id = this.getActiveProviderId();
+        const ProviderClass = this.getProviderClass(id);
+        return new ProviderClass(this.getSettings(id));
+    }
+}
+
+// AiChunker: Splits long notes into paragraph-aware chunks, runs them with bounded concurrency and stitches the results
+class AiChunker {
+    // Splits text into chunks of at most maxChars, breaking between paragraphs, then sentences, then words.
+    // Returns [{ text, separator }], where separator is the whitespace that followed the chunk in the note;
+    // joining every chunk with its separator gives the text back unchanged.
+    static split(text, maxChars) {
+        const pieces = [];
+        let leading = '';
+        const addPiece = (pieceText, separator) => {
+            // Blank text only widens the space between its neighbours
+            if (!pieceText.trim()) {
+                if (pieces.length) {
+                    pieces[pieces.length - 1].separator += pieceText + separator;
+                } else {
+                    leading += pieceText + separator;
+                }
+                return;
+            }
+            pieces.push({ text: leading + pieceText, separator });
+            leading = '';
+        };
+        const addSentence = (sentence, separator) => {
+            let body = sentence;
+            while (body.length > maxChars) {
+                const cut = body.lastIndexOf(' ', maxChars);
+                const at = cut > 0 ? cut : maxChars;
+                const gap = body.slice(at).match(/^\s*/)[0];
+                addPiece(body.slice(0, at), gap);
+                body = body.slice(at + gap.length);
+            }
+            addPiece(body, separator);
+        };
+        const addParagraph = (paragraph, separator) => {
+            if (paragraph.length <= maxChars) {
+                addPiece(paragraph, separator);
+                return;
+            }
+            const sentences = paragraph.split(/((?<=[.!?])\s+|\n)/);
+            for (let i = 0; i < sentences.length; i += 2) {
+                addSentence(sentences[i], i + 1 < sentences.length ? sentences[i + 1] : separator);
+            }
+        };
+
+        const paragraphs = text.split(/(\n\s*\n)/);
+        for (let i = 0; i < paragraphs.length; i += 2) {
+            addParagraph(paragraphs[i], paragraphs[i + 1] || '');
+        }
+        if (!pieces.length) return [];
+
+        // Packs neighbouring pieces into chunks as large as allowed
+        const chunks = [];
+        pieces.forEach(piece => {
+            const last = chunks[chunks.length - 1];
+            if (last && last.text.length + last.separator.length + piece.text.length <= maxChars) {
+                last.text += last.separator + piece.text;
+                last.separator = piece.separator;
+            } else {
+                chunks.push({ text: piece.text, separator: piece.separator });
+            }
+        });
+
+        if (chunks.map(chunk => chunk.text + chunk.separator).join('') !== text) {
+            throw new Error('The note could not be split into parts without changing it.');
+        }
+        return chunks;
+    }
+
+    // Runs task(item, index) for every item with at most `limit` running at once; results keep the item order
+    static async mapWithConcurrency(items, limit, task) {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await task(items[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
+    // Keywords of all chunks, most frequent first, each listed once
+    static mergeKeywords(results) {
+        const keywords = new Map();
+        results.forEach(result => {
+            result.split(/\s*[,\n]\s*/).map(keyword => keyword.trim()).filter(Boolean).forEach(keyword => {
+                const key = keyword.toLowerCase();
+                const entry = keywords.get(key) || { keyword, count: 0 };
+                entry.count += 1;
+                keywords.set(key, entry);
+            });
+        });
+        return Array.from(keywords.values())
+            .sort((a, b) => b.count - a.count)
+            .map(entry => entry.keyword)
+            .join(', ');
+    }
+
+    static formatProgress(title, states) {
+        const done = states.filter(state => state.status === 'done').length;
+        const lines = states.map((state, index) => `Part ${index + 1}: ${state.status}${state.message ? ` – ${state.message}` : ''}`);
+        return `${title} (${done} of ${states.length} parts done)\n\n${lines.join('\n')}`;
+    }
+
+    // Every call to the engine goes through here, so options.onRequest(section, text) can check and count it before it is sent
+    static request(provider, section, text, options) {
+        if (options.onRequest) {
+            options.onRequest(section, text);
+        }
+        return provider.run(section, text, options);
+    }
+
+    // Runs the section on every chunk of content; short content is sent in one request as before
+    static async run(provider, section, content, options = {}) {
+        const maxChars = provider.constructor.maxChunkChars;
+        if (content.length <= maxChars) {
+            return AiChunker.request(provider, section, content, options);
+        }
+
+        const chunks = AiChunker.split(content, maxChars);
+        const results = await AiChunker.runChunks(provider, section, chunks, options, 'Working on a long note');
+
+        if (section === 'keywords') {
+            return AiChunker.mergeKeywords(results);
+        }
+        if (section === 'summary') {
+            return AiChunker.summarize(provider, results, options, content.length);
+        }
+        return results.map((result, index) => result.trim() + (index < chunks.length - 1 ? chunks[index].separator : '')).join('');
+    }
+
+    // Summarizes the chunk summaries until they fit in one request, then summarizes them once more.
+    // Summaries that stop getting shorter are returned as they are, since more rounds would not end.
+    static async summarize(provider, summaries, options, previousLength = Infinity) {
+        const combined = summaries.map(summary => summary.trim()).join('\n\n');
+        const maxChars = provider.constructor.maxChunkChars;
+        if (combined.length > maxChars) {
+            if (combined.length >= previousLength) return combined;
+            const chunks = AiChunker.split(combined, maxChars);
+            const results = await AiChunker.runChunks(provider, 'summary', chunks, options, 'Summarizing the part summaries');
+            return AiChunker.summarize(provider, results, options, combined.length);
+        }
+
+        if (options.onStatus) {
+            options.onStatus('Combining the part summaries...');
+        }
+        return AiChunker.request(provider, 'summary', combined, Object.assign({}, options, { onStatus: null }));
+    }
+
+    // The first failing chunk cancels the others
+    static async runChunks(provider, section, chunks, options, title) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', abort);
+        }
+
+        const states = chunks.map(() => ({ status: 'waiting', message: '' }));
+        const report = () => {
+            if (options.onStatus) options.onStatus(AiChunker.formatProgress(title, states));
+        };
+        report();
+
+        try {
+            return await AiChunker.mapWithConcurrency(chunks, provider.constructor.maxConcurrency, async (chunk, index) => {
+                if (controller.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+                states[index].status = 'running';
+                report();
+                try {
+                    const result = await AiChunker.request(provider, section, chunk.text, Object.assign({}, options, {
+                        signal: controller.signal,
+                        onStatus: (message) => {
+                            states[index].message = message;
+                            report();
+                        }
+                    }));
+                    states[index] = { status: 'done', message: '' };
+                    report();
+                    return result;
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        controller.abort();
+                        throw new Error(`Part ${index + 1} of ${chunks.length} failed: ${error.message}`);
+                    }
+                    throw error;
+                }
+            });
+        } finally {
+            if (options.signal) options.signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+// AiResultCache Class: Keeps AI results across reloads, dropping the least recently used ones beyond its size limit
+class AiResultCache {
+    static prefix = 'aicache-';
+    static maxEntries = 500;
+    static maxChars = 1000000;
+
+    // Identifies a result by the section, the translation language and a hash of the engine (with its model) and the content sent
+    static async createKey(content, section, language, provider) {
+        const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${provider.getCacheId()}\n${content}`));
+        const hashHex = Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${this.prefix}${provider.constructor.id}-${section}-${language || ''}-${hashHex}`;
+    }
+
+    static get(key) {
+        const value = StorageManager.getFromLocalStorage(key, null);
+        if (value === null) return null;
+
+        try {
+            const entry = JSON.parse(value);
+            entry.usedAt = Date.now();
+            StorageManager.saveToLocalStorage(key, JSON.stringify(entry));
+            return entry.result;
+        } catch (error) {
+            StorageManager.removeFromLocalStorage(key);
+            return null;
+        }
+    }
+
+    static set(key, section, result) {
+        StorageManager.saveToLocalStorage(key, JSON.stringify({ section, result, usedAt: Date.now() }));
+        this.evict();
+    }
+
+    static getEntries() {
+        return StorageManager.keys()
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => {
+                const value = StorageManager.getFromLocalStorage(key, null);
+                if (value === null) return null;
+                try {
+                    return Object.assign(JSON.parse(value), { key });
+                } catch (error) {
+                    return { key, section: '', result: '', usedAt: 0 };
+                }
+            })
+            .filter(Boolean);
+    }
+
+    static evict() {
+        const entries = this.getEntries().sort((a, b) => a.usedAt - b.usedAt);
+        let chars = entries.reduce((total, entry) => total + entry.result.length, 0);
+        let count = entries.length;
+
+        for (const entry of entries) {
+            if (count <= this.maxEntries && chars <= this.maxChars) break;
+            StorageManager.removeFromLocalStorage(entry.key);
+            count -= 1;
+            chars -= entry.result.length;
+        }
+    }
+
+    static getStats() {
+        const entries = this.getEntries();
+        return {
+            count: entries.length,
+            chars: entries.reduce((total, entry) => total + entry.result.length, 0)
+        };
+    }
+
+    static clear() {
+        this.getEntries().forEach(entry => StorageManager.removeFromLocalStorage(entry.key));
+    }
+}
+
+// AiUsageManager Class: Counts AI requests and characters sent per day, enforces the daily limit and shows both with the cache
+class AiUsageManager {
+    static storageKey = 'aiUsage';
+    static keepDays = 30;
+    static shownDays = 7;
+    static sections = ['summary', 'translation', 'grammar', 'rewriting', 'keywords'];
+
+    constructor() {
+        this.openBtn = document.getElementById('aiUsageBtn');
+        this.modal = document.getElementById('aiUsageModal');
+        this.cacheStats = document.getElementById('aiCacheStats');
+        this.clearCacheBtn = document.getElementById('clearAiCacheBtn');
+        this.sectionTable = document.getElementById('aiSectionUsage');
+        this.dailyTable = document.getElementById('aiDailyUsage');
+        this.quotaInput = document.getElementById('aiQuotaInput');
+        this.closeBtn = document.getElementById('closeAiUsageBtn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.openBtn.addEventListener('click', () => this.open());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.clearCacheBtn.addEventListener('click', () => {
+            AiResultCache.clear();
+            this.render();
+        });
+        this.quotaInput.addEventListener('change', () => this.saveQuota());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        StorageManager.addChangeListener((changes) => {
+            if (this.isOpen() && Array.from(changes.keys()).some(key =>
+                key === AiUsageManager.storageKey || key.startsWith(AiResultCache.prefix))) {
+                this.render();
+            }
+        });
+    }
+
+    static dateKey(date = new Date()) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // { sections: { [section]: { requests, cacheHits } }, days: { [YYYY-MM-DD]: characters sent } }
+    getUsage() {
+        try {
+            const usage = JSON.parse(StorageManager.getFromLocalStorage(AiUsageManager.storageKey, '{}'));
+            return { sections: usage.sections || {}, days: usage.days || {} };
+        } catch (error) {
+            return { sections: {}, days: {} };
+        }
+    }
+
+    updateUsage(section, update) {
+        const usage = this.getUsage();
+        const counts = usage.sections[section] || { requests: 0, cacheHits: 0 };
+        update(usage, counts);
+        usage.sections[section] = counts;
+
+        const cutoff = AiUsageManager.dateKey(new Date(Date.now() - AiUsageManager.keepDays * 24 * 60 * 60 * 1000));
+        Object.keys(usage.days).forEach(day => {
+            if (day < cutoff) delete usage.days[day];
+        });
+        StorageManager.saveToLocalStorage(AiUsageManager.storageKey, JSON.stringify(usage));
+    }
+
+    recordRequest(section, chars) {
+        this.updateUsage(section, (usage, counts) => {
+            const today = AiUsageManager.dateKey();
+            counts.requests += 1;
+            usage.days[today] = (usage.days[today] || 0) + chars;
+        });
+    }
+
+    recordCacheHit(section) {
+        this.updateUsage(section, (usage, counts) => {
+            counts.cacheHits += 1;
+        });
+    }
+
+    getUsedToday() {
+        return this.getUsage().days[AiUsageManager.dateKey()] || 0;
+    }
+
+    // Characters that may be sent per day; 0 means no limit
+    getQuota() {
+        const quota = parseInt(StorageManager.getFromLocalStorage('aiDailyQuota', 0), 10);
+        return quota > 0 ? quota : 0;
+    }
+
+    saveQuota() {
+        const quota = parseInt(this.quotaInput.value, 10);
+        StorageManager.saveToLocalStorage('aiDailyQuota', quota > 0 ? quota : 0);
+        this.quotaInput.value = this.getQuota();
+        this.render();
+    }
+
+    // Throws when sending chars more characters today would go over the limit
+    checkQuota(chars) {
+        const quota = this.getQuota();
+        const used = this.getUsedToday();
+        if (!quota || used + chars <= quota) return;
+
+        throw new Error(`This request would go over today's AI limit of ${quota.toLocaleString()} characters ` +
+            `(${used.toLocaleString()} already sent, ${chars.toLocaleString()} needed). ` +
+            'Raise the limit under ⚙️ > Usage and Cache, or try again tomorrow.');
+    }
+
+    isOpen() {
+        return this.modal.style.display === 'flex';
+    }
+
+    open() {
+        this.quotaInput.value = this.getQuota();
+        this.modal.style.display = 'flex';
+        this.render();
+        this.closeBtn.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    render() {
+        const usage = this.getUsage();
+        const stats = AiResultCache.getStats();
+        this.cacheStats.textContent = `${stats.count} of at most ${AiResultCache.maxEntries} results, ` +
+            `${stats.chars.toLocaleString()} of ${AiResultCache.maxChars.toLocaleString()} characters.`;
+        this.clearCacheBtn.disabled = !stats.count;
+
+        const sectionRows = AiUsageManager.sections.map(section => {
+            const counts = usage.sections[section] || { requests: 0, cacheHits: 0 };
+            const button = document.querySelector(`.rightTab[data-tab="${section}"]`);
+            return [button ? button.textContent : section, counts.requests, counts.cacheHits];
+        });
+        this.renderTable(this.sectionTable, ['Section', 'Requests', 'From cache'], sectionRows);
+
+        const quota = this.getQuota();
+        const dayRows = Array.from({ length: AiUsageManager.shownDays }, (_, index) => {
+            const day = AiUsageManager.dateKey(new Date(Date.now() - index * 24 * 60 * 60 * 1000));
+            const chars = usage.days[day] || 0;
+            return [index === 0 ? 'Today' : day, chars.toLocaleString() + (index === 0 && quota ? ` of ${quota.toLocaleString()}` : '')];
+        });
+        this.renderTable(this.dailyTable, ['Day', 'Characters sent'], dayRows);
+    }
+
+    renderTable(table, headers, rows) {
+        table.replaceChildren();
+        const headerRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headerRow.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tableRow = body.insertRow();
+            row.forEach(value => {
+                tableRow.insertCell().textContent = value;
+            });
+        });
+    }
+}
+
+// AiJobQueue Class: Runs AI jobs a few at a time and lists them with their progress and a cancel button
+class AiJobQueue {
+    static maxRunning = 2;
+
+    constructor(listElement) {
+        this.listElement = listElement;
+        this.entries = [];
+        this.lastId = 0;
+
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-job-id]');
+            if (!button) return;
+            const entry = this.entries.find(item => item.id === Number(button.dataset.jobId));
+            if (entry) this.cancel(entry);
+        });
+    }
+
+    // Queues task(signal, report) for the job and resolves with its result; report(message) updates the listed progress.
+    // Cancelled jobs reject with an AbortError, failed jobs stay listed with their error until dismissed.
+    add(job, task) {
+        return new Promise((resolve, reject) => {
+            this.entries.push({
+                id: ++this.lastId,
+                job,
+                task,
+                resolve,
+                reject,
+                status: 'queued',
+                message: 'Waiting for other AI jobs...',
+                controller: new AbortController()
+            });
+            this.render();
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.entries.filter(entry => entry.status === 'running').length < AiJobQueue.maxRunning) {
+            const entry = this.entries.find(item => item.status === 'queued');
+            if (!entry) return;
+            this.start(entry);
+        }
+    }
+
+    async start(entry) {
+        entry.status = 'running';
+        entry.message = 'Loading...';
+        this.render();
+
+        try {
+            const result = await entry.task(entry.controller.signal, message => {
+                entry.message = message;
+                this.render();
+            });
+            this.remove(entry);
+            entry.resolve(result);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.remove(entry);
+            } else {
+                entry.status = 'failed';
+                entry.message = error.message;
+                this.render();
+            }
+            entry.reject(error);
+        }
+        this.next();
+    }
+
+    cancel(entry) {
+        if (entry.status === 'failed') {
+            this.remove(entry);
+            return;
+        }
+
+        entry.controller.abort();
+        if (entry.status === 'queued') {
+            this.remove(entry);
+            entry.reject(new DOMException('Aborted', 'AbortError'));
+        }
+    }
+
+    cancelWhere(predicate) {
+        this.entries
+            .filter(entry => entry.status !== 'failed' && predicate(entry.job))
+            .forEach(entry => this.cancel(entry));
+    }
+
+    // The queued or running entry of a job matching the predicate
+    find(predicate) {
+        return this.entries.find(entry => entry.status !== 'failed' && predicate(entry.job)) || null;
+    }
+
+    remove(entry) {
+        this.entries = this.entries.filter(item => item !== entry);
+        this.render();
+    }
+
+    render() {
+        this.listElement.replaceChildren();
+        this.listElement.hidden = this.entries.length === 0;
+
+        this.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `ai-job ai-job-${entry.status}`;
+
+            const label = document.createElement('span');
+            label.className = 'ai-job-label';
+            label.textContent = entry.job.label;
+
+            // Progress of long notes has one line per part, the list only shows the overview
+            const message = document.createElement('span');
+            message.className = 'ai-job-message';
+            message.textContent = entry.status === 'failed' ? `Failed: ${entry.message}` : entry.message.split('\n')[0];
+            message.title = entry.message;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.jobId = entry.id;
+            button.textContent = entry.status === 'failed' ? 'Dismiss' : 'Cancel';
+
+            item.append(label, message, button);
+            this.listElement.appendChild(item);
+        });
+    }
+
+    cleanup() {
+        this.cancelWhere(() => true);
+    }
+}
+
+class SectionManager {
+    static resultTargets = ['panel', 'replace', 'below'];
+    // Controls that run AI on the selection, so focusing them keeps the remembered selection
+    static aiControlsSelector = '#buttonWrapper, #aiTargetWrapper, .ai-context-menu';
+
+    constructor() {
+        this.currentSectionElement = null;
+        this.currentNoteId = null;
+        this.activeSection = null;
+        this.translationManager = null;
+        this.tabManager = null;
+        this.noteElement = document.getElementById('note');
+        this.aiNoteElements = document.querySelectorAll('.ai-note');
+        this.targetSelect = document.getElementById('aiTargetSelect');
+        this.apiKeyManager = null;
+        this.usageManager = null;
+        this.jobQueue = new AiJobQueue(document.getElementById('aiJobList'));
+        this.lastSelection = null;
+
+        const savedTarget = StorageManager.getFromLocalStorage('aiResultTarget', 'panel');
+        this.targetSelect.value = SectionManager.resultTargets.includes(savedTarget) ? savedTarget : 'panel';
+
+        this.bindEvents();
+        StorageManager.addChangeListener((changes, origin) => this.handleStorageChange(changes, origin));
+    }
+
+    bindEvents() {
+        this.aiNoteElements.forEach(element => {
+            element.addEventListener('input', () => {
+                this.saveSectionContent();
+            });
+        });
+
+        document.getElementById('aiWriteButton').addEventListener('click', () => {
+            this.handleAiWrite();
+        });
+        this.targetSelect.addEventListener('change', () => {
+            StorageManager.saveToLocalStorage('aiResultTarget', this.targetSelect.value);
+        });
+
+        // Remembers the selected text, so it is still known after focus moved to the AI controls or menu.
+        // Collapsing the selection or selecting anything else outside the note forgets it.
+        document.addEventListener('selectionchange', () => {
+            const offsets = getSelectionOffsets(this.noteElement);
+            if (offsets) {
+                this.lastSelection = offsets.start === offsets.end ? null : offsets;
+            } else if (!this.isAiControl(document.activeElement)) {
+                this.lastSelection = null;
+            }
+        });
+        this.noteElement.addEventListener('input', () => {
+            this.lastSelection = null;
+        });
+    }
+
+    isAiControl(element) {
+        return Boolean(element && element.closest && element.closest(SectionManager.aiControlsSelector));
+    }
+
+    // The selected part of the note as { start, end, text }, or null when nothing is selected
+    getNoteSelection() {
+        const offsets = getSelectionOffsets(this.noteElement) || this.lastSelection;
+        if (!offsets || offsets.start === offsets.end) return null;
+
+        const text = this.noteElement.innerText.slice(offsets.start, offsets.end);
+        return text.trim() ? { start: offsets.start, end: offsets.end, text } : null;
+    }
+
+    getResultTarget() {
+        return this.targetSelect.value;
+    }
+    
+    setNoteId(noteId) {
+        this.currentNoteId = noteId;
+        this.lastSelection = null;
+        this.loadSectionContent(this.activeSection);
+    }
+    
+    setTranslationManager(manager) {
+        this.translationManager = manager;
+    }
+
+    setApiKeyManager(manager) {
+        this.apiKeyManager = manager;
+    }
+
+    setTabManager(manager) {
+        this.tabManager = manager;
+        // Offsets of a selection mean nothing after the text was replaced by undo, sync or another window
+        manager.onContentChange(() => {
+            this.lastSelection = null;
+        });
+    }
+
+    setUsageManager(manager) {
+        this.usageManager = manager;
+    }
+
+    switchSection(section) {
+        this.activeSection = section;
+        const newSectionElement = document.querySelector(`.rightTabContent#${section} .ai-note`);
+        
+        if (!newSectionElement) {
+            return;
+        }
+
+        this.currentSectionElement = newSectionElement;
+        this.loadSectionContent(section);
+    }
+    
+    // Queues the active section for the selected text, or for the whole note when nothing is selected.
+    // The job keeps its note, section and language, so the result is stored for them even after switching away.
+    // Results for a selection go to the panel, replace the selection or are inserted below it.
+    async handleAiWrite(target = this.getResultTarget()) {
+        if (this.activeSection === null) return;
+
+        const provider = AiProviderRegistry.getActiveProvider();
+        if (!provider.isConfigured()) {
+            this.apiKeyManager.showModal();
+            return;
+        }
+
+        const selection = this.getNoteSelection();
+        const noteContent = selection ? selection.text.trim() : this.noteElement.innerText.trim();
+        if (!noteContent) {
+            alert('Please write some content in the main notepad first.');
+            return;
+        }
+
+        const section = this.activeSection;
+        const isTranslation = section === 'translation';
+        const noteText = this.noteElement.innerText;
+        const job = {
+            noteId: this.currentNoteId,
+            section,
+            language: isTranslation ? this.translationManager.getSelectedLanguage() : '',
+            languageName: isTranslation ? this.translationManager.getSelectedLanguageName() : '',
+            selection,
+            target: selection ? target : 'panel',
+            // The note text and the part of it the AI worked on, so a review can compare the result with the right text
+            source: {
+                hash: hashString(noteText),
+                start: selection ? selection.start : 0,
+                end: selection ? selection.end : noteText.length
+            }
+        };
+        job.label = this.describeJob(job);
+
+        const cacheKey = await AiResultCache.createKey(noteContent, section, job.language, provider);
+        const cachedResult = AiResultCache.get(cacheKey);
+        if (cachedResult !== null) {
+            this.usageManager.recordCacheHit(section);
+            this.deliverResult(job, cachedResult);
+            return;
+        }
+
+        // A newer request for the same panel replaces the one still waiting for it
+        if (job.target === 'panel') {
+            const key = this.getJobKey(job);
+            this.jobQueue.cancelWhere(other => other.target === 'panel' && this.getJobKey(other) === key);
+        }
+
+        this.showJobStatus(job, 'Waiting for other AI jobs...');
+        const result = this.jobQueue.add(job, (signal, report) => {
+            report('Loading...');
+            this.showJobStatus(job, 'Loading...');
+            return AiChunker.run(provider, section, noteContent, {
+                language: job.language,
+                languageName: job.languageName,
+                timeout: AiProviderRegistry.getTimeout(),
+                signal,
+                // Long notes make a request per part, plus summaries of the part summaries
+                onRequest: (requestSection, text) => {
+                    this.usageManager.checkQuota(text.length);
+                    this.usageManager.recordRequest(requestSection, text.length);
+                },
+                onStatus: (message) => {
+                    report(message);
+                    this.showJobStatus(job, message);
+                }
+            });
+        });
+
+        try {
+            const finalResult = await result;
+            AiResultCache.set(cacheKey, section, finalResult);
+            this.deliverResult(job, finalResult);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.restorePanel(job);
+            } else {
+                this.showJobStatus(job, `Error: ${error.message}`);
+            }
+        }
+    }
+
+    describeJob(job) {
+        const sectionButton = document.querySelector(`.rightTab[data-tab="${job.section}"]`);
+        const tab = this.tabManager ? this.tabManager.tabs.find(item => item.id === job.noteId) : null;
+        const language = job.languageName ? ` (${job.languageName})` : '';
+        return `${sectionButton ? sectionButton.textContent : job.section}${language} · ${tab ? tab.title : 'Note'}`;
+    }
+
+    getJobKey(job) {
+        return this.getSectionKey(job.section, job.noteId, job.language);
+    }
+
+    // Whether the panel currently shows the note, section and language the job belongs to
+    isShowingJob(job) {
+        return Boolean(this.currentSectionElement) && job.noteId === this.currentNoteId &&
+            job.section === this.activeSection && this.getJobKey(job) === this.getSectionKey(job.section);
+    }
+
+    showJobStatus(job, message) {
+        if (this.isShowingJob(job)) {
+            this.currentSectionElement.innerText = message;
+        }
+    }
+
+    // Puts the stored text back in place of the progress of a finished or cancelled job
+    restorePanel(job) {
+        if (this.isShowingJob(job)) {
+            this.loadSectionContent(job.section);
+        }
+    }
+
+    cancelNoteJobs() {
+        this.jobQueue.cancelWhere(job => job.noteId === this.currentNoteId);
+    }
+
+    deliverResult(job, result) {
+        if (job.target === 'panel') {
+            this.storeResult(job, result);
+            return;
+        }
+
+        // The panel only showed progress, so it gets its stored content back
+        this.restorePanel(job);
+        if (!this.applyToNote(job, result)) {
+            alert(job.noteId === this.currentNoteId
+                ? 'The selected text changed while the AI was working, so the result was put in the panel instead.'
+                : 'You switched to another note while the AI was working, so the result was put in the panel of the original note.');
+            this.storeResult(job, result);
+        }
+    }
+
+    // Saves the result for the job's own note, section and language, and shows it if that panel is open
+    storeResult(job, result) {
+        StorageManager.saveToLocalStorage(this.getJobKey(job), result);
+        if (ReviewManager.sections[job.section]) {
+            StorageManager.saveToLocalStorage(ReviewManager.sourceKey(job.noteId, job.section), JSON.stringify(job.source));
+        }
+        if (this.isShowingJob(job)) {
+            this.setContent(this.currentSectionElement, result);
+        }
+    }
+
+    // Replaces the selection, or inserts the result after the line where the selection ends, as one undo step.
+    // Returns false when the selected text can no longer be found in the note, or not told apart from other copies of it.
+    applyToNote(job, result) {
+        if (job.noteId !== this.currentNoteId) return false;
+
+        const text = this.noteElement.innerText;
+        let { start, end } = job.selection;
+        if (text.slice(start, end) !== job.selection.text) {
+            // The text moved; it is only found again when it occurs exactly once in the note
+            start = text.indexOf(job.selection.text);
+            if (start === -1 || text.indexOf(job.selection.text, start + 1) !== -1) return false;
+            end = start + job.selection.text.length;
+        }
+
+        let content;
+        let resultStart;
+        let inserted;
+        if (job.target === 'replace') {
+            // The AI saw the trimmed selection, so the surrounding spaces and line breaks are kept
+            const leading = job.selection.text.match(/^\s*/)[0];
+            const trailing = job.selection.text.match(/\s*$/)[0];
+            inserted = result.trim();
+            resultStart = start + leading.length;
+            content = text.slice(0, start) + leading + inserted + trailing + text.slice(end);
+        } else {
+            const lineEnd = text.indexOf('\n', Math.max(start, end - 1));
+            const insertAt = lineEnd === -1 ? text.length : lineEnd;
+            inserted = result.trim();
+            resultStart = insertAt + 1;
+            content = `${text.slice(0, insertAt)}\n${inserted}${text.slice(insertAt)}`;
+        }
+
+        this.tabManager.commitContent(content);
+        this.noteElement.focus();
+        setSelectionOffsets(this.noteElement, resultStart, resultStart + inserted.length);
+        return true;
+    }
+
+    setContent(element, newText) {
+        element.focus();
+        document.execCommand('selectAll', false, null);
+        document.execCommand('delete', false, null);
+        document.execCommand('insertText', false, newText);
+        this.placeCursorAtEnd(element);
+    }
+
+    getSectionKey(section, noteId = this.currentNoteId, language = null) {
+        if (section !== 'translation') {
+            return `${noteId}-${section}`;
+        }
+        if (language === null && this.translationManager) {
+            language = this.translationManager.getSelectedLanguage();
+        }
+        return language ? `${noteId}-${section}-${language}` : `${noteId}-${section}`;
+    }
+
+    saveSectionContent() {
+        if (!this.currentNoteId || !this.currentSectionElement || !this.activeSection) return;
+        
+        const key = this.getSectionKey(this.activeSection);
+        const content = this.currentSectionElement.innerText;
+        StorageManager.saveToLocalStorage(key, content);
+    }
+
+    handleStorageChange(changes, origin) {
+        if (origin === 'local' || !this.currentNoteId || !this.currentSectionElement || !this.activeSection) return;
+
+        const key = this.getSectionKey(this.activeSection);
+        if (changes.has(key) && this.currentSectionElement.innerText !== (changes.get(key) || '')) {
+            this.currentSectionElement.innerText = changes.get(key) || '';
+        }
+    }
+
+    loadSectionContent(section) {
+        if (!this.currentNoteId || !section) return;
+        
+        const key = this.getSectionKey(section);
+        const content = StorageManager.getFromLocalStorage(key, '');
+        
+        const element = document.querySelector(`.rightTabContent#${section} .ai-note`);
+        if (element) {
+            this.setContent(element, content);
+        }
+
+        // A job still working on this panel keeps showing its progress
+        const entry = this.jobQueue.find(job => this.getJobKey(job) === key);
+        if (entry && element === this.currentSectionElement) {
+            element.innerText = entry.message;
+        }
+    }
+    
+    clearContent(noteId) {
+        if (this.currentNoteId === noteId) {
+            if (this.currentSectionElement) {
+                this.setContent(this.currentSectionElement, '');
+            }
+        }
+    }
+
+    placeCursorAtEnd(element) {
+        element.focus();
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        range.collapse(false);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    cleanup() {
+        this.jobQueue.cleanup();
+    }
+}
+
+// MarkdownRenderer Class: Converts a note's Markdown source to sanitized HTML
+class MarkdownRenderer {
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static sanitizeUrl(url) {
+        const trimmed = url.trim();
+        if (/^(https?:|mailto:|#|\/|\.\/|\.\.\/)/i.test(trimmed) || !/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+            return trimmed;
+        }
+        return '#';
+    }
+
+    static renderInline(text) {
+        const tokens = [];
+        const protect = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        let html = this.escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => protect(`<img src="${this.sanitizeUrl(url)}" alt="${alt}">`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+                protect(`<a href="${this.sanitizeUrl(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`))
+            .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, url) =>
+                protect(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+        html = html
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__(\S(?:.*?\S)?)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+
+    static splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    // lineOffset keeps data-line attributes pointing at source lines when rendering nested blocks
+    static render(source, lineOffset = 0) {
+        const lines = source.split('\n');
+        const blocks = [];
+        const listItemPattern = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+        const tableSeparatorPattern = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+        let i = 0;
+
+        const startsBlock = (line, next) =>
+            /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) ||
+            listItemPattern.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            (line.includes('|') && next !== undefined && tableSeparatorPattern.test(next));
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const languageClass = fence[2] ? ` class="language-${fence[2]}"` : '';
+                blocks.push(`<pre><code${languageClass}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                blocks.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const start = i;
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${this.render(quoted.join('\n'), lineOffset + start)}</blockquote>`);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && tableSeparatorPattern.test(lines[i + 1])) {
+                const headers = this.splitTableRow(line);
+                const aligns = this.splitTableRow(lines[i + 1]).map(cell => {
+                    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                    if (cell.endsWith(':')) return 'right';
+                    if (cell.startsWith(':')) return 'left';
+                    return '';
+                });
+                const cellHtml = (tag, cell, index) => {
+                    const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+                    return `<${tag}${align}>${this.renderInline(cell)}</${tag}>`;
+                };
+
+                let table = `<table><thead><tr>${headers.map((cell, index) => cellHtml('th', cell, index)).join('')}</tr></thead><tbody>`;
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+                    const cells = this.splitTableRow(lines[i]);
+                    table += `<tr>${headers.map((_, index) => cellHtml('td', cells[index] || '', index)).join('')}</tr>`;
+                    i++;
+                }
+                blocks.push(`${table}</tbody></table>`);
+                continue;
+            }
+
+            if (listItemPattern.test(line)) {
+                const items = [];
+                while (i < lines.length) {
+                    const match = lines[i].match(listItemPattern);
+                    if (match) {
+                        items.push({
+                            indent: match[1].replace(/\t/g, '    ').length,
+                            ordered: /\d/.test(match[2]),
+                            start: parseInt(match[2], 10),
+                            text: match[3],
+                            line: lineOffset + i
+                        });
+                    } else if (lines[i].trim() !== '' && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+                        items[items.length - 1].text += `\n${lines[i].trim()}`;
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                blocks.push(this.renderList(items));
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !startsBlock(lines[i], lines[i + 1]))) {
+                paragraph.push(this.renderInline(lines[i].trim()));
+                i++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return blocks.join('\n');
+    }
+
+    static renderList(items) {
+        let html = '';
+        const stack = [];
+
+        items.forEach(item => {
+            const type = item.ordered ? 'ol' : 'ul';
+            let top = stack[stack.length - 1];
+
+            while (top && (item.indent < top.indent || (item.indent === top.indent && type !== top.type))) {
+                html += `</li></${top.type}>`;
+                stack.pop();
+                top = stack[stack.length - 1];
+            }
+
+            if (!top || item.indent > top.indent) {
+                const start = item.ordered && item.start !== 1 ? ` start="${item.start}"` : '';
+                html += `<${type}${start}>`;
+                stack.push({ indent: item.indent, type });
+            } else {
+                html += '</li>';
+            }
+
+            const task = item.text.match(/^\[([ xX])\]\s+(.*)$/s);
+            const body = (task ? task[2] : item.text).split('\n').map(line => this.renderInline(line)).join('<br>');
+            if (task) {
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                html += `<li class="task-item"><input type="checkbox" data-line="${item.line}"${checked}> ${body}`;
+            } else {
+                html += `<li>${body}`;
+            }
+        });
+
+        while (stack.length > 0) {
+            html += `</li></${stack.pop().type}>`;
+        }
+        return html;
+    }
+}
+
+// HtmlToMarkdown Class: Converts an imported HTML document to Markdown source
+class HtmlToMarkdown {
+    static blockTags = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'DIV', 'FIGURE', 'FOOTER', 'HEADER', 'MAIN', 'NAV', 'P', 'SECTION', 'DL', 'DD', 'DT', 'FORM', 'FIELDSET']);
+
+    static convert(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+        return this.convertChildren(doc.body)
+            .split('\n')
+            .map(line => line.replace(/[ \t]+$/, ''))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    static convertChildren(element) {
+        return Array.from(element.childNodes).map(node => this.convertNode(node)).join('');
+    }
+
+    static block(text) {
+        const trimmed = text.trim();
+        return trimmed ? `\n\n${trimmed}\n\n` : '';
+    }
+
+    static convertNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            return this.block(`${'#'.repeat(Number(tag[1]))} ${this.convertChildren(node).replace(/\s+/g, ' ').trim()}`);
+        }
+        if (this.blockTags.has(tag)) {
+            return this.block(this.convertChildren(node));
+        }
+
+        switch (tag) {
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return this.block('---');
+            case 'STRONG':
+            case 'B':
+                return this.wrapInline(node, '**');
+            case 'EM':
+            case 'I':
+                return this.wrapInline(node, '*');
+            case 'DEL':
+            case 'S':
+                return this.wrapInline(node, '~~');
+            case 'CODE':
+                return `\`${node.textContent}\``;
+            case 'PRE':
+                return this.block(`\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\``);
+            case 'A': {
+                const text = this.convertChildren(node).trim();
+                const href = node.getAttribute('href');
+                return href && !href.startsWith('#') ? `[${text || href}](${href})` : text;
+            }
+            case 'IMG': {
+                const src = node.getAttribute('src');
+                return src ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+            }
+            case 'BLOCKQUOTE':
+                return this.block(this.convertChildren(node).replace(/\n{3,}/g, '\n\n').trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+            case 'UL':
+            case 'OL':
+                return this.block(this.convertList(node));
+            case 'TABLE':
+                return this.block(this.convertTable(node));
+            default:
+                return this.convertChildren(node);
+        }
+    }
+
+    static wrapInline(node, marker) {
+        const text = this.convertChildren(node);
+        const trimmed = text.trim();
+        if (!trimmed) return text;
+        // Keep surrounding spaces outside the markers so the emphasis still parses
+        const leading = text.match(/^\s*/)[0];
+        const trailing = text.match(/\s*$/)[0];
+        return `${leading}${marker}${trimmed}${marker}${trailing}`;
+    }
+
+    static convertList(list) {
+        const ordered = list.tagName === 'OL';
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+        return Array.from(list.children)
+            .filter(item => item.tagName === 'LI')
+            .map(item => {
+                const marker = ordered ? `${number++}.` : '-';
+                const checkbox = item.querySelector(':scope > input[type="checkbox"]');
+                const task = checkbox ? `[${checkbox.checked ? 'x' : ' '}] ` : '';
+                const lines = this.convertChildren(item).replace(/\n{2,}/g, '\n').trim().split('\n');
+                const indent = ' '.repeat(marker.length + 1);
+                return [`${marker} ${task}${lines[0].trim()}`]
+                    .concat(lines.slice(1).map(line => line ? indent + line : line))
+                    .join('\n');
+            })
+            .join('\n');
+    }
+
+    static convertTable(table) {
+        const rows = Array.from(table.rows).map(row => {
+            return Array.from(row.cells).map(cell => {
+                return this.convertChildren(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+            });
+        });
+        if (!rows.length) return '';
+
+        const columns = Math.max(...rows.map(row => row.length));
+        const format = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+        return [format(rows[0]), format(Array(columns).fill('---'))]
+            .concat(rows.slice(1).map(format))
+            .join('\n');
+    }
+}
+
+// MarkdownManager Class: Per-tab Markdown mode with a split or full preview
+class MarkdownManager {
+    static printStyles = `
+        body { font-family: Georgia, serif; line-height: 1.6; margin: 2em; }
+        pre { background: #f4f4f4; padding: 10px; white-space: pre-wrap; }
+        code { font-family: monospace; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; }
+        blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #555; }
+        li.task-item { list-style: none; }
+    `;
+
+    constructor(noteElement, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.container = document.getElementById('container');
+        this.previewElement = document.getElementById('markdownPreview');
+        this.toggleBtn = document.getElementById('markdownToggle');
+        this.layoutBtn = document.getElementById('previewLayoutToggle');
+        this.layout = StorageManager.getFromLocalStorage('markdownPreviewLayout', 'split');
+        this.modeChangeListeners = new Set();
+
+        this.debouncedRender = debounce(() => this.renderPreview(), 150);
+
+        this.bindEvents();
+        this.applyMode();
+    }
+
+    bindEvents() {
+        this.toggleBtn.addEventListener('click', () => this.toggleMarkdown());
+        this.layoutBtn.addEventListener('click', () => this.toggleLayout());
+        this.noteElement.addEventListener('input', this.debouncedRender);
+        this.previewElement.addEventListener('change', (event) => this.handleTaskToggle(event));
+        this.tabManager.onTabSwitch(() => this.applyMode());
+        this.tabManager.onContentChange(() => {
+            if (this.isMarkdown()) this.renderPreview();
+        });
+    }
+
+    onModeChange(listener) {
+        this.modeChangeListeners.add(listener);
+    }
+
+    isMarkdown() {
+        const tab = this.tabManager.getCurrentTab();
+        return Boolean(tab && tab.mode === 'markdown');
+    }
+
+    toggleMarkdown() {
+        this.setMarkdown(!this.isMarkdown());
+    }
+
+    setMarkdown(enabled) {
+        const tab = this.tabManager.getCurrentTab();
+        if (!tab) return;
+        tab.mode = enabled ? 'markdown' : 'plain';
+        this.tabManager.saveTabsToStorage();
+        this.applyMode();
+        this.modeChangeListeners.forEach(listener => listener(tab.mode));
+    }
+
+    toggleLayout() {
+        this.layout = this.layout === 'split' ? 'preview' : 'split';
+        StorageManager.saveToLocalStorage('markdownPreviewLayout', this.layout);
+        this.applyMode();
+    }
+
+    applyMode() {
+        const markdown = this.isMarkdown();
+        this.toggleBtn.classList.toggle('active', markdown);
+        this.layoutBtn.hidden = !markdown;
+        this.layoutBtn.textContent = this.layout === 'split' ? 'Preview' : 'Edit';
+        this.previewElement.hidden = !markdown;
+        this.container.classList.toggle('markdown-split', markdown && this.layout === 'split');
+        this.container.classList.toggle('markdown-preview-only', markdown && this.layout === 'preview');
+        if (markdown) {
+            this.renderPreview();
+        }
+    }
+
+    renderPreview() {
+        if (!this.isMarkdown()) return;
+        this.previewElement.innerHTML = MarkdownRenderer.render(this.noteElement.innerText);
+    }
+
+    handleTaskToggle(event) {
+        const checkbox = event.target;
+        if (!checkbox.matches('input[type="checkbox"][data-line]')) return;
+
+        const lines = this.noteElement.innerText.split('\n');
+        const index = parseInt(checkbox.dataset.line, 10);
+        if (!lines[index]) return;
+
+        lines[index] = lines[index].replace(/\[([ xX])\]/, checkbox.checked ? '[x]' : '[ ]');
+        this.tabManager.setNoteContent(lines.join('\n'));
+        this.tabManager.saveCurrentTabContent();
+    }
+}
+
+// SearchIndex Class: Inverted index over note bodies and stored AI outputs
+class SearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+    }
+
+    static tokenize(text) {
+        return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    update(key, document) {
+        this.remove(key);
+        if (!document.text) return;
+
+        const terms = new Map();
+        SearchIndex.tokenize(document.text).forEach(term => {
+            terms.set(term, (terms.get(term) || 0) + 1);
+        });
+        terms.forEach((count, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(key, count);
+        });
+        this.documents.set(key, Object.assign({}, document, { terms }));
+    }
+
+    remove(key) {
+        const existing = this.documents.get(key);
+        if (!existing) return;
+
+        existing.terms.forEach((count, term) => {
+            const posting = this.postings.get(term);
+            posting.delete(key);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.documents.delete(key);
+    }
+
+    // Every query term must match; the last one also matches as a prefix while the user is typing
+    search(query, limit = 30) {
+        const queryTerms = SearchIndex.tokenize(query);
+        if (queryTerms.length === 0) return [];
+
+        const scores = new Map();
+        for (let i = 0; i < queryTerms.length; i++) {
+            const isLast = i === queryTerms.length - 1;
+            const termScores = new Map();
+
+            this.postings.forEach((posting, term) => {
+                const exact = term === queryTerms[i];
+                if (!exact && !(isLast && term.startsWith(queryTerms[i]))) return;
+
+                const idf = Math.log(1 + this.documents.size / posting.size);
+                posting.forEach((count, key) => {
+                    const score = (1 + Math.log(count)) * idf * (exact ? 1 : 0.5);
+                    termScores.set(key, Math.max(termScores.get(key) || 0, score));
+                });
+            });
+
+            if (i === 0) {
+                termScores.forEach((score, key) => scores.set(key, score));
+            } else {
+                scores.forEach((score, key) => {
+                    if (termScores.has(key)) {
+                        scores.set(key, score + termScores.get(key));
+                    } else {
+                        scores.delete(key);
+                    }
+                });
+            }
+        }
+
+        const phrase = query.trim().toLowerCase();
+        return Array.from(scores, ([key, score]) => {
+            const document = this.documents.get(key);
+            const phraseBonus = queryTerms.length > 1 && document.text.toLowerCase().includes(phrase) ? 2 : 0;
+            const noteBonus = document.section ? 0 : 0.5;
+            return { key, document, score: score + phraseBonus + noteBonus };
+        })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// SearchManager Class: Ctrl+Shift+F palette that searches every note and AI output
+class SearchManager {
+    constructor(noteElement, tabManager, aiTabs, translationManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.aiTabs = aiTabs;
+        this.translationManager = translationManager;
+        this.index = new SearchIndex();
+        this.results = [];
+        this.selectedIndex = 0;
+
+        this.palette = document.getElementById('searchPalette');
+        this.input = document.getElementById('searchInput');
+        this.resultsElement = document.getElementById('searchResults');
+
+        this.debouncedSearch = debounce(() => this.runSearch(), 100);
+
+        this.buildIndex();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', this.debouncedSearch);
+        this.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+        this.palette.addEventListener('click', (event) => {
+            if (event.target === this.palette) {
+                this.close();
+            }
+        });
+        this.resultsElement.addEventListener('click', (event) => {
+            const item = event.target.closest('.search-result');
+            if (item) {
+                this.openResult(parseInt(item.dataset.index, 10));
+            }
+        });
+
+        StorageManager.addChangeListener((changes) => {
+            changes.forEach((value, key) => this.indexKey(key, value));
+        });
+    }
+
+    parseKey(key) {
+        const match = key.match(/^(note-\d+)(?:-(summary|translation|grammar|rewriting|keywords)(?:-(.+))?)?$/);
+        if (!match) return null;
+        return { noteId: match[1], section: match[2] || null, language: match[3] || null };
+    }
+
+    indexKey(key, value) {
+        const parsed = this.parseKey(key);
+        if (!parsed) return;
+
+        if (value === null) {
+            this.index.remove(key);
+        } else {
+            this.index.update(key, Object.assign(parsed, { text: value }));
+        }
+    }
+
+    buildIndex() {
+        StorageManager.keys().forEach(key => {
+            this.indexKey(key, StorageManager.getFromLocalStorage(key, null));
+        });
+    }
+
+    open() {
+        this.palette.style.display = 'flex';
+        this.input.select();
+        this.input.focus();
+        this.runSearch();
+    }
+
+    close() {
+        this.palette.style.display = 'none';
+    }
+
+    handleInputKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectResult(Math.min(Math.max(this.selectedIndex + step, 0), this.results.length - 1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.openResult(this.selectedIndex);
+        }
+    }
+
+    runSearch() {
+        const query = this.input.value;
+        const tabIds = new Set(this.tabManager.tabs.map(tab => tab.id));
+        this.results = this.index.search(query).filter(result => tabIds.has(result.document.noteId));
+        this.renderResults(query);
+    }
+
+    renderResults(query) {
+        this.resultsElement.replaceChildren();
+
+        if (query.trim() && this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matches';
+            this.resultsElement.appendChild(empty);
+            return;
+        }
+
+        const terms = SearchIndex.tokenize(query);
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.dataset.index = index;
+
+            const snippet = this.buildSnippet(result.document.text, terms);
+            result.line = snippet.line;
+
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.textContent = `${this.getResultLabel(result.document)} · line ${snippet.line + 1}`;
+
+            const text = document.createElement('div');
+            text.className = 'search-result-snippet';
+            text.innerHTML = snippet.html;
+
+            item.appendChild(title);
+            item.appendChild(text);
+            this.resultsElement.appendChild(item);
+        });
+        this.selectResult(0);
+    }
+
+    getResultLabel(document) {
+        const tab = this.tabManager.tabs.find(t => t.id === document.noteId);
+        const title = tab ? tab.title : document.noteId;
+        if (!document.section) return title;
+
+        const button = window.document.querySelector(`.rightTab[data-tab="${document.section}"]`);
+        const sectionLabel = button ? button.textContent : document.section;
+        return `${title} › ${sectionLabel}${document.language ? ` (${document.language})` : ''}`;
+    }
+
+    buildSnippet(text, terms) {
+        const lowerText = text.toLowerCase();
+        let matchIndex = -1;
+        terms.forEach(term => {
+            const found = lowerText.search(new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u'));
+            if (found !== -1 && (matchIndex === -1 || found < matchIndex)) {
+                matchIndex = found === 0 ? 0 : found + 1;
+            }
+        });
+        if (matchIndex === -1) matchIndex = 0;
+
+        const line = text.slice(0, matchIndex).split('\n').length - 1;
+        const start = Math.max(0, matchIndex - 40);
+        const end = Math.min(text.length, matchIndex + 100);
+        const raw = text.slice(start, end).replace(/\s+/g, ' ');
+
+        // Matches are found in the raw text and every piece escaped on its own, so terms never match inside entities
+        const pieces = terms.length > 0
+            ? raw.split(new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu'))
+            : [raw];
+        const snippet = pieces.map((piece, index) => {
+            const escaped = MarkdownRenderer.escapeHtml(piece);
+            return index % 2 === 1 ? `<mark>${escaped}</mark>` : escaped;
+        }).join('');
+        return {
+            line,
+            html: `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`
+        };
+    }
+
+    selectResult(index) {
+        this.selectedIndex = index;
+        this.resultsElement.querySelectorAll('.search-result').forEach((item, i) => {
+            item.classList.toggle('selected', i === index);
+            if (i === index) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    openResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+        this.close();
+
+        const tabIndex = this.tabManager.tabs.findIndex(tab => tab.id === result.document.noteId);
+        if (tabIndex === -1) return;
+        this.tabManager.switchTab(tabIndex);
+
+        if (result.document.section) {
+            if (result.document.language) {
+                this.translationManager.selectElement.value = result.document.language;
+                this.translationManager.saveLanguage();
+            }
+            this.aiTabs.switchTab(document.querySelector(`.rightTab[data-tab="${result.document.section}"]`));
+            return;
+        }
+
+        this.goToLine(result.line);
+    }
+
+    goToLine(line) {
+        const lines = this.noteElement.innerText.split('\n');
+        const target = Math.min(line, lines.length - 1);
+        const start = lines.slice(0, target).reduce((total, text) => total + text.length + 1, 0);
+
+        this.noteElement.focus();
+        setSelectionOffsets(this.noteElement, start, start + lines[target].length);
+        scrollSelectionIntoView(this.noteElement);
+    }
+}
+
+// FindReplaceManager Class: Find/replace bar for the note with case, whole word and regex options
+class FindReplaceManager {
+    static maxHighlightedMatches = 5000;
+
+    constructor(noteElement, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.matches = [];
+        this.currentMatch = -1;
+        this.highlightsSupported = typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined';
+
+        this.bar = document.getElementById('findBar');
+        this.findInput = document.getElementById('findInput');
+        this.replaceInput = document.getElementById('replaceInput');
+        this.caseToggle = document.getElementById('findCaseToggle');
+        this.wordToggle = document.getElementById('findWordToggle');
+        this.regexToggle = document.getElementById('findRegexToggle');
+        this.countElement = document.getElementById('findCount');
+
+        this.debouncedUpdate = debounce(() => this.updateMatches(), 200);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.findInput.addEventListener('input', () => this.updateMatches(true));
+        this.findInput.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+        this.replaceInput.addEventListener('keydown', (e) => this.handleInputKeydown(e, true));
+        [this.caseToggle, this.wordToggle, this.regexToggle].forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                toggle.classList.toggle('active');
+                this.updateMatches(true);
+            });
+        });
+
+        document.getElementById('findPrevBtn').addEventListener('click', () => this.goTo(this.currentMatch - 1));
+        document.getElementById('findNextBtn').addEventListener('click', () => this.goTo(this.currentMatch + 1));
+        document.getElementById('replaceBtn').addEventListener('click', () => this.replaceCurrent());
+        document.getElementById('replaceAllBtn').addEventListener('click', () => this.replaceAll());
+        document.getElementById('findCloseBtn').addEventListener('click', () => this.close());
+
+        this.noteElement.addEventListener('input', () => {
+            if (!this.bar.hidden) this.debouncedUpdate();
+        });
+        this.tabManager.onContentChange(() => {
+            if (!this.bar.hidden) this.updateMatches();
+        });
+    }
+
+    open(focusReplace = false) {
+        this.bar.hidden = false;
+        const selected = window.getSelection().toString();
+        if (selected && !selected.includes('\n') && this.noteElement.contains(window.getSelection().anchorNode)) {
+            this.findInput.value = selected;
+        }
+        const input = focusReplace ? this.replaceInput : this.findInput;
+        input.focus();
+        input.select();
+        this.updateMatches(true);
+    }
+
+    close() {
+        this.bar.hidden = true;
+        this.matches = [];
+        this.clearHighlights();
+        this.noteElement.focus();
+    }
+
+    handleInputKeydown(e, isReplace = false) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (isReplace) {
+                if (e.ctrlKey || e.metaKey) {
+                    this.replaceAll();
+                } else {
+                    this.replaceCurrent();
+                }
+            } else {
+                this.goTo(this.currentMatch + (e.shiftKey ? -1 : 1));
+            }
+        }
+    }
+
+    buildRegExp() {
+        const query = this.findInput.value;
+        if (!query) return null;
+
+        const source = this.regexToggle.classList.contains('active') ? query : escapeRegExp(query);
+        const wholeWord = this.wordToggle.classList.contains('active');
+        const flags = this.caseToggle.classList.contains('active') ? 'gm' : 'gim';
+        try {
+            return new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source, `${flags}u`);
+        } catch (error) {
+            // Patterns such as \- or a{ are only valid without the u flag, where whole words are made of \w characters
+            return new RegExp(wholeWord ? `(?<!\\w)(?:${source})(?!\\w)` : source, flags);
+        }
+    }
+
+    updateMatches(selectFirst = false) {
+        const text = this.tabManager.getNoteText();
+        this.findInput.classList.remove('invalid');
+        this.matches = [];
+
+        let regex;
+        try {
+            regex = this.buildRegExp();
+        } catch (error) {
+            this.findInput.classList.add('invalid');
+            this.countElement.textContent = 'Invalid pattern';
+            this.clearHighlights();
+            return;
+        }
+
+        if (regex) {
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                this.matches.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        if (selectFirst || this.currentMatch >= this.matches.length) {
+            const caret = getSelectionOffsets(this.noteElement);
+            const from = caret ? caret.start : 0;
+            const next = this.matches.findIndex(([start]) => start >= from);
+            this.currentMatch = this.matches.length === 0 ? -1 : Math.max(next, 0);
+        }
+        this.renderHighlights();
+    }
+
+    renderHighlights() {
+        this.clearHighlights();
+        this.countElement.textContent = this.matches.length === 0
+            ? (this.findInput.value ? 'No results' : '')
+            : `${this.currentMatch + 1} of ${this.matches.length}`;
+
+        if (!this.highlightsSupported || this.matches.length === 0) return;
+
+        const visible = this.matches.slice(0, FindReplaceManager.maxHighlightedMatches);
+        const ranges = createRangesFromOffsets(this.noteElement, visible);
+        CSS.highlights.set('find-match', new Highlight(...ranges));
+        if (ranges[this.currentMatch]) {
+            CSS.highlights.set('find-current', new Highlight(ranges[this.currentMatch]));
+        }
+    }
+
+    clearHighlights() {
+        if (!this.highlightsSupported) return;
+        CSS.highlights.delete('find-match');
+        CSS.highlights.delete('find-current');
+    }
+
+    goTo(index) {
+        if (this.matches.length === 0) return;
+        this.currentMatch = (index + this.matches.length) % this.matches.length;
+
+        const [start, end] = this.matches[this.currentMatch];
+        setSelectionOffsets(this.noteElement, start, end);
+        scrollSelectionIntoView(this.noteElement);
+        this.tabManager.syncScroll();
+        this.renderHighlights();
+    }
+
+    static expandReplacement(template, match) {
+        return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+            if (ref === '$') return '$';
+            if (ref === '&') return match[0];
+            if (name !== undefined) return (match.groups && match.groups[name]) || '';
+            const index = parseInt(ref, 10);
+            return index < match.length ? (match[index] || '') : token;
+        });
+    }
+
+    // Matches again at the same position so lookarounds and $1-style references see the full text
+    getReplacement(text, [start], regex) {
+        const sticky = new RegExp(regex.source, regex.flags.replace('g', '') + 'y');
+        sticky.lastIndex = start;
+        const match = sticky.exec(text);
+        if (!match) return null;
+
+        const replacement = this.regexToggle.classList.contains('active')
+            ? FindReplaceManager.expandReplacement(this.replaceInput.value, match)
+            : this.replaceInput.value;
+        return { length: match[0].length, text: replacement };
+    }
+
+    replaceCurrent() {
+        if (this.currentMatch === -1 || this.matches.length === 0) return;
+
+        const text = this.tabManager.getNoteText();
+        const match = this.matches[this.currentMatch];
+        const replacement = this.getReplacement(text, match, this.buildRegExp());
+        if (!replacement) return;
+
+        const newText = text.slice(0, match[0]) + replacement.text + text.slice(match[0] + replacement.length);
+        this.tabManager.commitContent(newText);
+        this.updateMatches();
+
+        const next = this.matches.findIndex(([start]) => start >= match[0] + replacement.text.length);
+        this.goTo(next === -1 ? 0 : next);
+    }
+
+    replaceAll() {
+        if (this.matches.length === 0) return;
+
+        const text = this.tabManager.getNoteText();
+        const regex = this.buildRegExp();
+        let newText = '';
+        let cursor = 0;
+
+        this.matches.forEach(match => {
+            const replacement = this.getReplacement(text, match, regex);
+            if (!replacement || match[0] < cursor) return;
+            newText += text.slice(cursor, match[0]) + replacement.text;
+            cursor = match[0] + replacement.length;
+        });
+        newText += text.slice(cursor);
+
+        this.tabManager.commitContent(newText);
+        this.updateMatches();
+    }
+}
+
+// SyntaxHighlighter Class: Regex tokenizers and language detection for code and structured text
+class SyntaxHighlighter {
+    static languages = {
+        javascript: 'JavaScript',
+        json: 'JSON',
+        python: 'Python',
+        sql: 'SQL',
+        shell: 'Shell',
+        yaml: 'YAML',
+        csv: 'CSV',
+        log: 'Log'
+    };
+
+    static rules = {
+        javascript: [
+            ['comment', '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'],
+            ['string', '\'(?:\\\\.|[^\'\\\\\\n])*\'|"(?:\\\\.|[^"\\\\\\n])*"|`(?:\\\\.|[^`\\\\])*`'],
+            ['number', '\\b(?:0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b'],
+            ['keyword', '\\b(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\\b'],
+            ['literal', '\\b(?:true|false|null|undefined|NaN|Infinity)\\b']
+        ],
+        json: [
+            ['key', '"(?:\\\\.|[^"\\\\\\n])*"(?=\\s*:)'],
+            ['string', '"(?:\\\\.|[^"\\\\\\n])*"'],
+            ['number', '-?\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b'],
+            ['literal', '\\b(?:true|false|null)\\b']
+        ],
+        python: [
+            ['comment', '#[^\\n]*'],
+            ['string', '\\b[rbfuRBFU]{0,2}(?:\'\'\'[\\s\\S]*?\'\'\'|"""[\\s\\S]*?"""|\'(?:\\\\.|[^\'\\\\\\n])*\'|"(?:\\\\.|[^"\\\\\\n])*")|(?:\'\'\'[\\s\\S]*?\'\'\'|"""[\\s\\S]*?"""|\'(?:\\\\.|[^\'\\\\\\n])*\'|"(?:\\\\.|[^"\\\\\\n])*")'],
+            ['number', '\\b(?:0[xXoObB][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?j?)\\b'],
+            ['keyword', '\\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\\b'],
+            ['literal', '\\b(?:True|False|None)\\b|@[\\w.]+']
+        ],
+        sql: [
+            ['comment', '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'],
+            ['string', '\'(?:\'\'|[^\'])*\''],
+            ['number', '\\b\\d+(?:\\.\\d+)?\\b'],
+            ['keyword', '\\b(?:add|all|alter|and|as|asc|between|by|case|create|delete|desc|distinct|drop|else|end|exists|from|full|group|having|in|index|inner|insert|into|is|join|left|like|limit|not|offset|on|or|order|outer|primary|key|references|right|select|set|table|then|union|unique|update|values|view|when|where|with)\\b'],
+            ['literal', '\\b(?:null|true|false)\\b']
+        ],
+        shell: [
+            ['comment', '(?<=^|\\s)#[^\\n]*'],
+            ['string', '\'[^\']*\'|"(?:\\\\.|[^"\\\\])*"'],
+            ['variable', '\\$(?:\\w+|\\{[^}\\n]*\\}|[@*#?$!0-9])'],
+            ['keyword', '\\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|select|then|until|while)\\b'],
+            ['number', '\\b\\d+\\b']
+        ],
+        yaml: [
+            ['comment', '(?<=^|\\s)#[^\\n]*'],
+            ['key', '(?<=^[ \\t]*(?:- +)?)(?:"[^"\\n]*"|\'[^\'\\n]*\'|[^\\s#:\'"-][^:#\\n]*?)(?=:(?:\\s|$))'],
+            ['string', '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\'\'|[^\'\\n])*\''],
+            ['literal', '\\b(?:true|false|yes|no|on|off|null)\\b|~|^---$|^\\.\\.\\.$'],
+            ['number', '(?<![\\w.])-?\\d+(?:\\.\\d+)?(?![\\w.])']
+        ],
+        csv: [
+            ['string', '"(?:""|[^"])*"'],
+            ['number', '(?<=^|[,;\\t|])\\s*-?\\d+(?:\\.\\d+)?\\s*(?=$|[,;\\t|])'],
+            ['delimiter', '[,;\\t|]']
+        ],
+        log: [
+            ['timestamp', '\\b\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}:\\d{2}(?:[.,]\\d+)?(?:Z|[+-]\\d{2}:?\\d{2})?|\\b\\d{2}:\\d{2}:\\d{2}(?:[.,]\\d+)?\\b'],
+            ['error', '\\b(?:ERROR|ERR|FATAL|CRITICAL|SEVERE|EMERG|ALERT|Exception|Traceback)\\b'],
+            ['warning', '\\b(?:WARN|WARNING)\\b'],
+            ['info', '\\b(?:INFO|NOTICE)\\b'],
+            ['debug', '\\b(?:DEBUG|TRACE|VERBOSE)\\b'],
+            ['string', '"(?:\\\\.|[^"\\\\\\n])*"']
+        ]
+    };
+
+    static patterns = {};
+
+    static getPattern(language) {
+        if (!this.patterns[language]) {
+            const source = this.rules[language].map(([type, rule]) => `(?<${type}>${rule})`).join('|');
+            this.patterns[language] = new RegExp(source, language === 'sql' ? 'gim' : 'gm');
+        }
+        return this.patterns[language];
+    }
+
+    // Returns [start, end, type] for every token of the text
+    static tokenize(text, language) {
+        if (!this.rules[language]) return [];
+
+        const types = this.rules[language].map(([type]) => type);
+        const tokens = [];
+        for (const match of text.matchAll(this.getPattern(language))) {
+            if (!match[0]) continue;
+            const type = types.find(name => match.groups[name] !== undefined);
+            tokens.push([match.index, match.index + match[0].length, type]);
+        }
+        return tokens;
+    }
+
+    // Guesses the language from the start of the text
+    static detect(text) {
+        const sample = text.slice(0, 4000);
+        const trimmed = sample.trim();
+        if (!trimmed) return 'plain';
+
+        if (/^[{[]/.test(trimmed) && /[}\]]$/.test(text.trimEnd())) return 'json';
+
+        const lines = sample.split('\n').filter(line => line.trim());
+        const share = (pattern) => lines.filter(line => pattern.test(line)).length / lines.length;
+
+        if (share(/^\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}|^\[?\d{2}:\d{2}:\d{2}|\b(?:ERROR|WARN(?:ING)?|INFO|DEBUG|TRACE)\b/) >= 0.5) return 'log';
+        if (/^#!.*\b(?:ba|z|k|da)?sh\b/.test(trimmed) || share(/^\s*(?:\$ |sudo |cd |export |echo |apt(?:-get)? |npm |git |ls |mkdir |curl |chmod )/) >= 0.3) return 'shell';
+        if (/^\s*(?:SELECT|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(?:TABLE|INDEX|VIEW)|ALTER\s+TABLE)\b/im.test(sample)) return 'sql';
+        if (/^\s*(?:def \w+\(|class \w+(?:\(.*\))?:|from [\w.]+ import |import [\w.]+\s*$|if __name__)/m.test(sample)) return 'python';
+        if (/^\s*(?:const|let|var|function|import|export|class)\b|=>|console\.\w+\(/m.test(sample)) return 'javascript';
+        if (share(/^\s*(?:- )?[\w.\-"']+:(?:\s|$)|^\s*- |^---\s*$|^\s*#/) >= 0.6) return 'yaml';
+        if (lines.length >= 2 && share(/^[^,]*(?:,[^,]*)+$/) === 1 &&
+            new Set(lines.slice(0, 20).map(line => line.split(',').length)).size === 1) return 'csv';
+        return 'plain';
+    }
+}
+
+// SyntaxManager Class: Per-tab language mode that highlights tokens of the visible part of the note
+class SyntaxManager {
+    static viewportMargin = 3000;
+    static fullTokenizeLimit = 100000;
+
+    constructor(noteElement, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.selectElement = document.getElementById('languageModeSelect');
+        this.highlightsSupported = typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined';
+        this.tokens = null;
+        this.detectedLanguage = 'plain';
+        this.currentLanguage = null;
+        this.languageChangeListeners = new Set();
+        this.activeHighlights = new Set();
+
+        this.populateSelect();
+        this.debouncedRefresh = debounce(() => this.refresh(), 80);
+        this.scrollHandler = throttle(() => this.renderHighlights(), 50);
+
+        this.bindEvents();
+        this.refresh();
+    }
+
+    populateSelect() {
+        const options = [['auto', 'Auto'], ['plain', 'Plain text']].concat(Object.entries(SyntaxHighlighter.languages));
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.selectElement.appendChild(option);
+        });
+    }
+
+    bindEvents() {
+        this.selectElement.addEventListener('change', () => this.setMode(this.selectElement.value));
+        this.noteElement.addEventListener('input', () => {
+            this.tokens = null;
+            this.debouncedRefresh();
+        });
+        this.noteElement.addEventListener('scroll', this.scrollHandler, { passive: true });
+        window.addEventListener('resize', this.scrollHandler);
+        this.tabManager.onTabSwitch(() => this.refresh());
+        this.tabManager.onContentChange(() => {
+            this.tokens = null;
+            this.debouncedRefresh();
+        });
+    }
+
+    onLanguageChange(listener) {
+        this.languageChangeListeners.add(listener);
+    }
+
+    // The mode chosen for the current tab: 'auto', 'plain' or a language id
+    getMode() {
+        const tab = this.tabManager.getCurrentTab();
+        return (tab && tab.language) || 'auto';
+    }
+
+    // The language in effect, with 'auto' resolved by detection
+    getLanguage() {
+        const mode = this.getMode();
+        return mode === 'auto' ? this.detectedLanguage : mode;
+    }
+
+    setMode(mode) {
+        const tab = this.tabManager.getCurrentTab();
+        if (!tab) return;
+
+        tab.language = mode;
+        this.tabManager.saveTabsToStorage();
+        this.refresh();
+    }
+
+    refresh() {
+        const previous = this.currentLanguage;
+        const mode = this.getMode();
+        if (mode === 'auto') {
+            this.detectedLanguage = SyntaxHighlighter.detect(this.tabManager.getNoteText());
+        }
+
+        const language = this.getLanguage();
+        this.currentLanguage = language;
+        this.selectElement.value = mode;
+        this.selectElement.options[0].textContent = mode === 'auto' && language !== 'plain'
+            ? `Auto (${SyntaxHighlighter.languages[language]})`
+            : 'Auto';
+        this.noteElement.classList.toggle('code-mode', language !== 'plain');
+
+        this.tokens = null;
+        this.renderHighlights();
+
+        if (language !== previous) {
+            this.languageChangeListeners.forEach(listener => listener(language));
+        }
+    }
+
+    renderHighlights() {
+        if (!this.highlightsSupported) return;
+
+        const language = this.getLanguage();
+        if (language === 'plain') {
+            this.clearHighlights();
+            return;
+        }
+
+        const text = this.tabManager.getNoteText();
+        const visible = getVisibleTextOffsets(this.noteElement) || { start: 0, end: text.length };
+        const from = visible.start - SyntaxManager.viewportMargin;
+        const to = visible.end + SyntaxManager.viewportMargin;
+
+        // Only tokens near the viewport get ranges, which keeps long notes responsive.
+        // Very long notes are also only tokenized there, starting at a line boundary.
+        let tokens;
+        if (text.length <= SyntaxManager.fullTokenizeLimit) {
+            if (!this.tokens) {
+                this.tokens = SyntaxHighlighter.tokenize(text, language);
+            }
+            tokens = this.tokens.filter(([start, end]) => end >= from && start <= to);
+        } else {
+            const windowStart = from > 0 ? text.lastIndexOf('\n', from) + 1 : 0;
+            const windowEnd = Math.min(text.length, to);
+            tokens = SyntaxHighlighter.tokenize(text.slice(windowStart, windowEnd), language)
+                .map(([start, end, type]) => [start + windowStart, end + windowStart, type]);
+        }
+
+        const ranges = createRangesFromOffsets(this.noteElement, tokens.map(([start, end]) => [start, end]));
+        const groups = new Map();
+        tokens.forEach(([, , type], index) => {
+            if (!groups.has(type)) {
+                groups.set(type, new Highlight());
+            }
+            groups.get(type).add(ranges[index]);
+        });
+
+        this.clearHighlights();
+        groups.forEach((highlight, type) => {
+            CSS.highlights.set(`syntax-${type}`, highlight);
+            this.activeHighlights.add(`syntax-${type}`);
+        });
+    }
+
+    clearHighlights() {
+        this.activeHighlights.forEach(name => CSS.highlights.delete(name));
+        this.activeHighlights.clear();
+    }
+
+    cleanup() {
+        this.noteElement.removeEventListener('scroll', this.scrollHandler);
+        window.removeEventListener('resize', this.scrollHandler);
+        if (this.highlightsSupported) {
+            this.clearHighlights();
+        }
+    }
+}
+
+// StatusBarManager Class: Shows the caret position, selection and document statistics under the note
+class StatusBarManager {
+    static wordsPerMinute = 200;
+
+    constructor(noteElement, tabManager, syntaxManager, markdownManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.syntaxManager = syntaxManager;
+        this.markdownManager = markdownManager;
+        this.lineStarts = null;
+        this.unsaved = false;
+        this.cursorUpdatePending = false;
+
+        this.cursorElement = document.getElementById('statusCursor');
+        this.selectionElement = document.getElementById('statusSelection');
+        this.countsElement = document.getElementById('statusCounts');
+        this.readingTimeElement = document.getElementById('statusReadingTime');
+        this.savedElement = document.getElementById('statusSaved');
+        this.modeElement = document.getElementById('statusMode');
+
+        // selectionchange fires for every caret move, so updates are coalesced to one per frame
+        this.selectionHandler = () => this.scheduleCursorUpdate();
+        this.inputHandler = () => {
+            this.invalidate();
+            this.unsaved = true;
+            this.updateSaved();
+        };
+        this.debouncedStats = debounce(() => this.updateStats(), 300);
+        this.storageListener = (changes) => {
+            const tab = this.tabManager.getCurrentTab();
+            if (tab && changes.has(tab.id)) {
+                this.unsaved = false;
+                this.updateSaved();
+            }
+        };
+
+        this.bindEvents();
+        this.refresh();
+    }
+
+    bindEvents() {
+        document.addEventListener('selectionchange', this.selectionHandler);
+        this.noteElement.addEventListener('input', this.inputHandler);
+        StorageManager.addChangeListener(this.storageListener);
+        this.tabManager.onTabSwitch(() => {
+            this.unsaved = false;
+            this.refresh();
+        });
+        this.tabManager.onContentChange(() => {
+            this.invalidate();
+            this.scheduleCursorUpdate();
+        });
+        this.syntaxManager.onLanguageChange(() => this.updateMode());
+        this.markdownManager.onModeChange(() => this.updateMode());
+    }
+
+    invalidate() {
+        this.lineStarts = null;
+        this.debouncedStats();
+    }
+
+    getText() {
+        return this.tabManager.getNoteText();
+    }
+
+    getLineStarts() {
+        if (!this.lineStarts) {
+            const text = this.getText();
+            const starts = [0];
+            let index = text.indexOf('\n');
+            while (index !== -1) {
+                starts.push(index + 1);
+                index = text.indexOf('\n', index + 1);
+            }
+            this.lineStarts = starts;
+        }
+        return this.lineStarts;
+    }
+
+    refresh() {
+        this.invalidate();
+        this.updateCursor();
+        this.updateStats();
+        this.updateSaved();
+        this.updateMode();
+    }
+
+    scheduleCursorUpdate() {
+        if (this.cursorUpdatePending) return;
+
+        this.cursorUpdatePending = true;
+        requestAnimationFrame(() => {
+            this.cursorUpdatePending = false;
+            this.updateCursor();
+        });
+    }
+
+    // Line and column of the caret (the focus end of the selection), both counted from 1
+    updateCursor() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || !this.noteElement.contains(selection.focusNode)) return;
+
+        // The focus is one end of the selected range, so its offset comes from the same lookup
+        const offsets = getSelectionOffsets(this.noteElement);
+        const range = selection.getRangeAt(0);
+        const focusAtStart = range.startContainer === selection.focusNode && range.startOffset === selection.focusOffset;
+        const caret = offsets
+            ? (focusAtStart ? offsets.start : offsets.end)
+            : textOffsetFromPoint(this.noteElement, selection.focusNode, selection.focusOffset);
+        const starts = this.getLineStarts();
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (starts[middle] <= caret) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        this.cursorElement.textContent = `Ln ${low + 1}, Col ${caret - starts[low] + 1}`;
+        const selected = offsets ? offsets.end - offsets.start : 0;
+        this.selectionElement.textContent = selected ? `${selected} selected` : '';
+        this.selectionElement.hidden = !selected;
+    }
+
+    updateStats() {
+        const text = this.getText();
+        const words = (text.match(/\S+/g) || []).length;
+        const lines = this.getLineStarts().length;
+        const minutes = Math.ceil(words / StatusBarManager.wordsPerMinute);
+
+        this.countsElement.textContent = `${words} ${words === 1 ? 'word' : 'words'}, ${text.length} ${text.length === 1 ? 'character' : 'characters'}, ${lines} ${lines === 1 ? 'line' : 'lines'}`;
+        this.readingTimeElement.textContent = words ? `${minutes} min read` : '';
+        this.readingTimeElement.hidden = !words;
+    }
+
+    // Falls back to the last recorded edit when the note has not been written since the page loaded
+    getLastSavedTime(tab) {
+        const savedTime = StorageManager.getSavedTime(tab.id);
+        if (savedTime) return savedTime;
+
+        const history = this.tabManager.tabHistories[tab.id];
+        const lastEntry = history && history.past[history.past.length - 1];
+        return lastEntry ? lastEntry.time : null;
+    }
+
+    updateSaved() {
+        const tab = this.tabManager.getCurrentTab();
+        if (!tab) return;
+
+        this.savedElement.title = '';
+        if (this.unsaved || StorageManager.pendingWrites.has(tab.id)) {
+            this.savedElement.textContent = 'Unsaved changes';
+            return;
+        }
+
+        const time = this.getLastSavedTime(tab);
+        if (!time) {
+            this.savedElement.textContent = 'Saved';
+            return;
+        }
+        const date = new Date(time);
+        const sameDay = date.toDateString() === new Date().toDateString();
+        this.savedElement.textContent = `Saved ${sameDay
+            ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`;
+        this.savedElement.title = date.toLocaleString();
+    }
+
+    updateMode() {
+        const language = this.syntaxManager.getLanguage();
+        const mode = this.markdownManager.isMarkdown()
+            ? 'Markdown'
+            : SyntaxHighlighter.languages[language] || 'Plain Text';
+        this.modeElement.textContent = `UTF-8 · ${mode}`;
+    }
+
+    cleanup() {
+        document.removeEventListener('selectionchange', this.selectionHandler);
+        this.noteElement.removeEventListener('input', this.inputHandler);
+        StorageManager.removeChangeListener(this.storageListener);
+    }
+}
+
+// NotebookManager Class: Sidebar of nested notebooks and tags that organizes notes and filters the tab strip
+class NotebookManager {
+    static maxTagLength = 40;
+
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+        this.notebooks = [];
+        this.filter = null;
+
+        this.sidebar = document.getElementById('organizerSidebar');
+        this.toggleBtn = document.getElementById('sidebarToggle');
+        this.addNotebookBtn = document.getElementById('addNotebookBtn');
+        this.treeElement = document.getElementById('notebookTree');
+        this.tagListElement = document.getElementById('tagList');
+        this.notebookSelect = document.getElementById('noteNotebookSelect');
+        this.noteTagsElement = document.getElementById('noteTagList');
+        this.tagInput = document.getElementById('noteTagInput');
+        this.keywordsToTagsBtn = document.getElementById('keywordsToTagsBtn');
+
+        this.storageChangeHandler = (changes, origin) => {
+            if (origin !== 'local' && changes.has('notebooks')) {
+                this.loadNotebooks();
+                this.render();
+            }
+        };
+
+        this.loadNotebooks();
+        this.loadFilter();
+        this.setCollapsed(StorageManager.getFromLocalStorage('organizerSidebarCollapsed', 'true') === 'true');
+        this.bindEvents();
+        this.applyFilter();
+    }
+
+    bindEvents() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.addNotebookBtn.addEventListener('click', () => this.createNotebook(null));
+        this.notebookSelect.addEventListener('change', () => this.setNoteNotebook(this.tabManager.getCurrentTab(), this.notebookSelect.value || null));
+        this.tagInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ',') return;
+            e.preventDefault();
+            this.addTags(this.tabManager.getCurrentTab(), [this.tagInput.value]);
+            this.tagInput.value = '';
+        });
+        this.keywordsToTagsBtn.addEventListener('click', () => this.addKeywordsAsTags());
+        this.tabManager.onTabsChange(() => this.render());
+        this.tabManager.onTabSwitch(() => this.renderNotePanel());
+        StorageManager.addChangeListener(this.storageChangeHandler);
+    }
+
+    loadNotebooks() {
+        try {
+            const notebooks = JSON.parse(StorageManager.getFromLocalStorage('notebooks', '[]'));
+            this.notebooks = Array.isArray(notebooks) ? notebooks : [];
+        } catch (error) {
+            console.error('Failed to read notebooks.', error);
+            this.notebooks = [];
+        }
+    }
+
+    saveNotebooks() {
+        StorageManager.saveToLocalStorage('notebooks', JSON.stringify(this.notebooks));
+    }
+
+    loadFilter() {
+        try {
+            this.filter = JSON.parse(StorageManager.getFromLocalStorage('organizerFilter', 'null'));
+        } catch (error) {
+            this.filter = null;
+        }
+        if (this.filter && this.filter.type === 'notebook' && !this.getNotebook(this.filter.value)) {
+            this.filter = null;
+        }
+    }
+
+    toggle() {
+        this.setCollapsed(!this.sidebar.hidden);
+        StorageManager.saveToLocalStorage('organizerSidebarCollapsed', String(this.sidebar.hidden));
+    }
+
+    setCollapsed(collapsed) {
+        this.sidebar.hidden = collapsed;
+        this.toggleBtn.classList.toggle('active', !collapsed);
+        if (!collapsed) this.render();
+    }
+
+    getNotebook(id) {
+        return this.notebooks.find(notebook => notebook.id === id) || null;
+    }
+
+    getChildren(parentId) {
+        return this.notebooks
+            .filter(notebook => (notebook.parentId || null) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // The notebook and every notebook nested in it
+    getDescendantIds(id) {
+        const ids = new Set([id]);
+        let added = true;
+        while (added) {
+            added = false;
+            this.notebooks.forEach(notebook => {
+                if (ids.has(notebook.parentId) && !ids.has(notebook.id)) {
+                    ids.add(notebook.id);
+                    added = true;
+                }
+            });
+        }
+        return ids;
+    }
+
+    getPath(id) {
+        const names = [];
+        let notebook = this.getNotebook(id);
+        while (notebook) {
+            names.unshift(notebook.name);
+            notebook = this.getNotebook(notebook.parentId);
+        }
+        return names.join(' / ');
+    }
+
+    getTags(tab) {
+        return Array.isArray(tab.tags) ? tab.tags : [];
+    }
+
+    // Every tag in use with the number of notes carrying it, case-insensitively merged
+    getAllTags() {
+        const counts = new Map();
+        this.tabManager.tabs.forEach(tab => {
+            this.getTags(tab).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count += 1;
+                counts.set(key, entry);
+            });
+        });
+        return Array.from(counts.values()).sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    createNotebook(parentId) {
+        const name = (prompt(parentId ? 'Name of the new sub-notebook:' : 'Name of the new notebook:') || '').trim();
+        if (!name) return;
+
+        this.notebooks.push({ id: `notebook-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, name, parentId });
+        if (parentId) {
+            this.getNotebook(parentId).collapsed = false;
+        }
+        this.saveNotebooks();
+        this.render();
+    }
+
+    renameNotebook(id) {
+        const notebook = this.getNotebook(id);
+        const name = (prompt('Rename notebook:', notebook.name) || '').trim();
+        if (!name || name === notebook.name) return;
+
+        notebook.name = name;
+        this.saveNotebooks();
+        this.render();
+    }
+
+    // Nested notebooks and notes move up to the parent of the deleted notebook
+    deleteNotebook(id) {
+        const notebook = this.getNotebook(id);
+        if (!confirm(`Delete the notebook "${notebook.name}"? Its notes and sub-notebooks move to the parent notebook.`)) return;
+
+        const parentId = notebook.parentId || null;
+        this.notebooks = this.notebooks.filter(other => other !== notebook);
+        this.notebooks.forEach(other => {
+            if (other.parentId === id) other.parentId = parentId;
+        });
+        this.tabManager.tabs.forEach(tab => {
+            if (tab.notebookId === id) this.assignNotebook(tab, parentId);
+        });
+        if (this.filter && this.filter.type === 'notebook' && this.filter.value === id) {
+            this.filter = parentId ? { type: 'notebook', value: parentId } : null;
+        }
+
+        this.saveNotebooks();
+        this.tabManager.saveTabsToStorage();
+        this.applyFilter();
+    }
+
+    toggleNotebook(id) {
+        const notebook = this.getNotebook(id);
+        notebook.collapsed = !notebook.collapsed;
+        this.saveNotebooks();
+        this.renderTree();
+    }
+
+    assignNotebook(tab, notebookId) {
+        if (notebookId) {
+            tab.notebookId = notebookId;
+        } else {
+            delete tab.notebookId;
+        }
+    }
+
+    setNoteNotebook(tab, notebookId) {
+        if (!tab) return;
+
+        this.assignNotebook(tab, notebookId);
+        this.tabManager.saveTabsToStorage();
+        this.tabManager.renderTabs();
+    }
+
+    static normalizeTag(tag) {
+        return tag
+            .replace(/^[\s\-*•#"']+|[\s"'.]+$/g, '')
+            .replace(/^\d+[.)]\s*/, '')
+            .replace(/\s+/g, ' ')
+            .slice(0, NotebookManager.maxTagLength);
+    }
+
+    addTags(tab, tags) {
+        if (!tab) return 0;
+
+        const existing = this.getTags(tab);
+        const known = new Set(existing.map(tag => tag.toLowerCase()));
+        // Reuse the spelling of a tag other notes already carry
+        const spellings = new Map(this.getAllTags().map(({ tag }) => [tag.toLowerCase(), tag]));
+        const added = [];
+        tags.map(tag => NotebookManager.normalizeTag(tag)).forEach(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || known.has(key)) return;
+            known.add(key);
+            added.push(spellings.get(key) || tag);
+        });
+        if (added.length === 0) return 0;
+
+        tab.tags = existing.concat(added);
+        this.tabManager.saveTabsToStorage();
+        this.tabManager.renderTabs();
+        return added.length;
+    }
+
+    removeTag(tab, tag) {
+        tab.tags = this.getTags(tab).filter(other => other !== tag);
+        if (tab.tags.length === 0) delete tab.tags;
+        this.tabManager.saveTabsToStorage();
+        this.tabManager.renderTabs();
+    }
+
+    // Turns the "Find Keywords" output of the current note into tags
+    addKeywordsAsTags() {
+        const tab = this.tabManager.getCurrentTab();
+        if (!tab) return;
+
+        const keywords = StorageManager.getFromLocalStorage(`${tab.id}-keywords`, '').trim();
+        if (!keywords || keywords === 'No keywords found.') {
+            alert('Find keywords for this note first.');
+            return;
+        }
+
+        const added = this.addTags(tab, keywords.split(/[,;\n]+/));
+        this.keywordsToTagsBtn.textContent = added ? `Added ${added} ${added === 1 ? 'tag' : 'tags'}` : 'Already tagged';
+        clearTimeout(this.keywordsButtonTimeout);
+        this.keywordsButtonTimeout = setTimeout(() => {
+            this.keywordsToTagsBtn.textContent = 'Add as Tags';
+        }, 2000);
+    }
+
+    setFilter(filter) {
+        const same = this.filter && filter && this.filter.type === filter.type && this.filter.value === filter.value;
+        this.filter = same ? null : filter;
+        StorageManager.saveToLocalStorage('organizerFilter', JSON.stringify(this.filter));
+        this.applyFilter();
+    }
+
+    matchesFilter(tab) {
+        if (!this.filter) return true;
+        if (this.filter.type === 'notebook') {
+            return this.getDescendantIds(this.filter.value).has(tab.notebookId);
+        }
+        const tag = this.filter.value.toLowerCase();
+        return this.getTags(tab).some(other => other.toLowerCase() === tag);
+    }
+
+    // Shows only the matching tabs, switching away from the current tab when it doesn't match
+    applyFilter() {
+        this.tabManager.setTabFilter(this.filter ? (tab) => this.matchesFilter(tab) : null);
+
+        const currentTab = this.tabManager.getCurrentTab();
+        if (this.filter && currentTab && !this.matchesFilter(currentTab)) {
+            const index = this.tabManager.tabs.findIndex(tab => this.matchesFilter(tab));
+            if (index !== -1) this.tabManager.switchTab(index);
+        }
+        this.render();
+    }
+
+    render() {
+        if (this.sidebar.hidden) return;
+
+        this.renderTree();
+        this.renderTagList();
+        this.renderNotePanel();
+    }
+
+    isActiveFilter(type, value) {
+        return Boolean(this.filter) && this.filter.type === type && this.filter.value === value;
+    }
+
+    createItem(label, count, active, onClick) {
+        const item = document.createElement('div');
+        item.className = 'organizer-item';
+        item.classList.toggle('active', active);
+
+        const name = document.createElement('span');
+        name.className = 'organizer-item-name';
+        name.textContent = label;
+        name.title = label;
+        item.appendChild(name);
+
+        const countElement = document.createElement('span');
+        countElement.className = 'organizer-count';
+        countElement.textContent = count;
+        item.appendChild(countElement);
+
+        item.addEventListener('click', onClick);
+        return item;
+    }
+
+    // Notes can be dragged from the tab strip onto a notebook, or onto "All Notes" to take them out of their notebook
+    makeDropTarget(element, notebookId) {
+        element.addEventListener('dragover', (e) => {
+            if (!Array.from(e.dataTransfer.types).includes(TabManager.dragType)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (e) => {
+            element.classList.remove('drop-target');
+            const tab = this.tabManager.tabs.find(other => other.id === e.dataTransfer.getData(TabManager.dragType));
+            if (!tab) return;
+            e.preventDefault();
+            this.setNoteNotebook(tab, notebookId);
+        });
+    }
+
+    renderTree() {
+        const tabs = this.tabManager.tabs;
+        const allItem = this.createItem('All Notes', tabs.length, !this.filter, () => this.setFilter(null));
+        this.makeDropTarget(allItem, null);
+
+        const renderLevel = (parentId, depth) => this.getChildren(parentId).flatMap(notebook => {
+            const ids = this.getDescendantIds(notebook.id);
+            const count = tabs.filter(tab => ids.has(tab.notebookId)).length;
+            const item = this.createItem(notebook.name, count, this.isActiveFilter('notebook', notebook.id),
+                () => this.setFilter({ type: 'notebook', value: notebook.id }));
+            item.style.paddingLeft = `${8 + depth * 14}px`;
+            this.makeDropTarget(item, notebook.id);
+
+            const hasChildren = this.getChildren(notebook.id).length > 0;
+            const disclosure = document.createElement('button');
+            disclosure.type = 'button';
+            disclosure.className = 'organizer-disclosure';
+            disclosure.textContent = hasChildren ? (notebook.collapsed ? '▸' : '▾') : '';
+            disclosure.disabled = !hasChildren;
+            disclosure.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleNotebook(notebook.id);
+            });
+            item.prepend(disclosure);
+
+            const actions = document.createElement('span');
+            actions.className = 'organizer-actions';
+            [['+', 'New sub-notebook', () => this.createNotebook(notebook.id)],
+                ['✎', 'Rename', () => this.renameNotebook(notebook.id)],
+                ['×', 'Delete', () => this.deleteNotebook(notebook.id)]].forEach(([label, title, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    action();
+                });
+                actions.appendChild(button);
+            });
+            item.insertBefore(actions, item.lastChild);
+
+            return notebook.collapsed ? [item] : [item, ...renderLevel(notebook.id, depth + 1)];
+        });
+
+        this.treeElement.replaceChildren(allItem, ...renderLevel(null, 0));
+    }
+
+    renderTagList() {
+        const tags = this.getAllTags();
+        if (tags.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'organizer-empty';
+            empty.textContent = 'No tags yet';
+            this.tagListElement.replaceChildren(empty);
+            return;
+        }
+
+        this.tagListElement.replaceChildren(...tags.map(({ tag, count }) => this.createItem(`#${tag}`, count,
+            Boolean(this.filter) && this.filter.type === 'tag' && this.filter.value.toLowerCase() === tag.toLowerCase(),
+            () => this.setFilter({ type: 'tag', value: tag }))));
+    }
+
+    renderNotePanel() {
+        if (this.sidebar.hidden) return;
+
+        const tab = this.tabManager.getCurrentTab();
+        const options = [['', 'No notebook']];
+        const addOptions = (parentId, depth) => this.getChildren(parentId).forEach(notebook => {
+            options.push([notebook.id, `${'  '.repeat(depth)}${notebook.name}`]);
+            addOptions(notebook.id, depth + 1);
+        });
+        addOptions(null, 0);
+        this.notebookSelect.replaceChildren(...options.map(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        }));
+        this.notebookSelect.value = tab && this.getNotebook(tab.notebookId) ? tab.notebookId : '';
+        this.notebookSelect.title = tab && tab.notebookId ? this.getPath(tab.notebookId) : '';
+
+        this.noteTagsElement.replaceChildren(...(tab ? this.getTags(tab) : []).map(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = `#${tag}`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '×';
+            remove.title = `Remove tag "${tag}"`;
+            remove.addEventListener('click', () => this.removeTag(tab, tag));
+            chip.appendChild(remove);
+            return chip;
+        }));
+    }
+
+    cleanup() {
+        StorageManager.removeChangeListener(this.storageChangeHandler);
+        clearTimeout(this.keywordsButtonTimeout);
+    }
+}
+
+// ReviewManager Class: Word-level review of grammar and rewrite results, applying accepted changes to the note
+class ReviewManager {
+    static sections = { grammar: 'Correct Grammar', rewriting: 'Rewrite Text' };
+
+    constructor(noteElement, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.segments = [];
+        this.changes = [];
+        this.prefix = '';
+        this.suffix = '';
+
+        this.modal = document.getElementById('reviewModal');
+        this.titleElement = document.getElementById('reviewTitle');
+        this.summaryElement = document.getElementById('reviewSummary');
+        this.diffElement = document.getElementById('reviewDiff');
+        this.acceptAllBtn = document.getElementById('acceptAllChangesBtn');
+        this.rejectAllBtn = document.getElementById('rejectAllChangesBtn');
+        this.applyBtn = document.getElementById('applyChangesBtn');
+        this.closeBtn = document.getElementById('closeReviewBtn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.review-changes-btn').forEach(button => {
+            button.addEventListener('click', () => this.open(button.dataset.section));
+        });
+        this.acceptAllBtn.addEventListener('click', () => this.setAll('accepted'));
+        this.rejectAllBtn.addEventListener('click', () => this.setAll('rejected'));
+        this.applyBtn.addEventListener('click', () => this.apply());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        this.diffElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const change = this.changes[parseInt(button.closest('.review-change').dataset.index, 10)];
+            const state = button.dataset.action === 'accept' ? 'accepted' : 'rejected';
+            change.state = change.state === state ? 'pending' : state;
+            this.render();
+        });
+    }
+
+    // Splits text into words, whitespace runs and single punctuation marks
+    static tokenize(text) {
+        return text.match(/\s+|[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu) || [];
+    }
+
+    // Compares line by line first and then word by word inside the changed lines, so long notes stay fast
+    static diffWords(oldText, newText) {
+        const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+        const ops = [];
+        let removed = [];
+        let inserted = [];
+        const flush = () => {
+            if (removed.length === 0 && inserted.length === 0) return;
+            diffSequences(ReviewManager.tokenize(removed.join('')), ReviewManager.tokenize(inserted.join('')))
+                .forEach(op => ops.push(op));
+            removed = [];
+            inserted = [];
+        };
+
+        diffSequences(splitLines(oldText), splitLines(newText)).forEach(op => {
+            if (op.type === 'equal') {
+                flush();
+                ops.push(op);
+            } else if (op.type === 'delete') {
+                removed.push(op.value);
+            } else {
+                inserted.push(op.value);
+            }
+        });
+        flush();
+        return ops;
+    }
+
+    // Groups the diff into unchanged text and changes, each change replacing `removed` with `inserted`
+    static buildSegments(ops) {
+        const segments = [];
+        ops.forEach(op => {
+            const type = op.type === 'equal' ? 'equal' : 'change';
+            let last = segments[segments.length - 1];
+            if (!last || last.type !== type) {
+                last = type === 'equal' ? { type, text: '' } : { type, removed: '', inserted: '', state: 'pending' };
+                segments.push(last);
+            }
+            if (op.type === 'equal') {
+                last.text += op.value;
+            } else if (op.type === 'delete') {
+                last.removed += op.value;
+            } else {
+                last.inserted += op.value;
+            }
+        });
+
+        // Edits separated by a single space read as one change, like a rewritten phrase
+        for (let i = segments.length - 2; i > 0; i--) {
+            const [before, between, after] = segments.slice(i - 1, i + 2);
+            if (before.type === 'change' && after.type === 'change' && /^[ \t]+$/.test(between.text)) {
+                before.removed += between.text + after.removed;
+                before.inserted += between.text + after.inserted;
+                segments.splice(i, 2);
+            }
+        }
+        return segments;
+    }
+
+    isOpen() {
+        return this.modal.style.display === 'flex';
+    }
+
+    // Key of { hash, start, end }: the hash of the note text a section result was made from and the part of it that was sent
+    static sourceKey(noteId, section) {
+        return `${noteId}-review-${section}`;
+    }
+
+    static getSource(noteId, section) {
+        try {
+            return JSON.parse(StorageManager.getFromLocalStorage(this.sourceKey(noteId, section), 'null'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    open(section) {
+        const tab = this.tabManager.getCurrentTab();
+        if (!tab || !ReviewManager.sections[section]) return;
+
+        const output = StorageManager.getFromLocalStorage(`${tab.id}-${section}`, '').trim();
+        if (!output || output === 'Loading...' || output.startsWith('Error:')) {
+            alert(`Run "${ReviewManager.sections[section]}" on this note first.`);
+            return;
+        }
+
+        // Accepting changes against edited text would undo those edits, so the note must be as it was when the AI ran
+        const text = this.noteElement.innerText;
+        const source = ReviewManager.getSource(tab.id, section);
+        if (!source || source.hash !== hashString(text)) {
+            alert(`The note was changed after "${ReviewManager.sections[section]}" ran. Run it again to review its changes.`);
+            return;
+        }
+
+        // Only the part that was sent is compared, and the AI saw it trimmed, so surrounding blank space is kept as it is
+        const part = text.slice(source.start, source.end);
+        const start = source.start + part.length - part.trimStart().length;
+        const end = source.start + part.trimEnd().length;
+        this.prefix = text.slice(0, start);
+        this.suffix = text.slice(Math.max(start, end));
+        this.segments = ReviewManager.buildSegments(ReviewManager.diffWords(text.slice(start, Math.max(start, end)), output));
+        this.changes = this.segments.filter(segment => segment.type === 'change');
+
+        this.titleElement.textContent = `Review Changes: ${ReviewManager.sections[section]}`;
+        this.modal.style.display = 'flex';
+        this.render();
+        this.applyBtn.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+        this.segments = [];
+        this.changes = [];
+    }
+
+    setAll(state) {
+        this.changes.forEach(change => {
+            change.state = state;
+        });
+        this.render();
+    }
+
+    render() {
+        const accepted = this.changes.filter(change => change.state === 'accepted').length;
+        const rejected = this.changes.filter(change => change.state === 'rejected').length;
+        this.summaryElement.textContent = this.changes.length === 0
+            ? 'The AI suggested no changes.'
+            : `${this.changes.length} ${this.changes.length === 1 ? 'change' : 'changes'}: ${accepted} accepted, ${rejected} rejected. Changes that are not accepted are left as they are.`;
+        this.applyBtn.disabled = accepted === 0;
+        this.acceptAllBtn.disabled = this.changes.length === 0;
+        this.rejectAllBtn.disabled = this.changes.length === 0;
+
+        const fragment = document.createDocumentFragment();
+        let changeIndex = 0;
+        this.segments.forEach(segment => {
+            if (segment.type === 'equal') {
+                fragment.appendChild(document.createTextNode(segment.text));
+                return;
+            }
+
+            const element = document.createElement('span');
+            element.className = `review-change ${segment.state}`;
+            element.dataset.index = changeIndex++;
+            if (segment.removed) {
+                const del = document.createElement('del');
+                del.textContent = segment.removed;
+                element.appendChild(del);
+            }
+            if (segment.inserted) {
+                const ins = document.createElement('ins');
+                ins.textContent = segment.inserted;
+                element.appendChild(ins);
+            }
+            [['accept', '✓', 'Accept this change'], ['reject', '✗', 'Reject this change']].forEach(([action, label, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.title = title;
+                element.appendChild(button);
+            });
+            fragment.appendChild(element);
+        });
+        this.diffElement.replaceChildren(fragment);
+    }
+
+    // Builds the note from the accepted changes and commits it as a single undo step
+    apply() {
+        const body = this.segments.map(segment => {
+            if (segment.type === 'equal') return segment.text;
+            return segment.state === 'accepted' ? segment.inserted : segment.removed;
+        }).join('');
+        const content = this.prefix + body + this.suffix;
+
+        if (content !== this.noteElement.innerText) {
+            this.tabManager.commitContent(content);
+        }
+        this.close();
+    }
+}
+
+// AiContextMenu Class: Right-click menu on selected note text that runs an AI section on the selection
+class AiContextMenu {
+    static targets = [['replace', 'Replace'], ['below', 'Insert below'], ['panel', 'Panel']];
+
+    constructor(noteElement, sectionManager, aiTabs) {
+        this.noteElement = noteElement;
+        this.sectionManager = sectionManager;
+        this.aiTabs = aiTabs;
+        this.menu = null;
+
+        this.contextMenuHandler = (e) => this.handleContextMenu(e);
+        this.dismissHandler = (e) => {
+            if (e.type === 'keydown' ? e.key === 'Escape' : !this.menu.contains(e.target)) {
+                this.close();
+            }
+        };
+        this.noteElement.addEventListener('contextmenu', this.contextMenuHandler);
+    }
+
+    // Without a selection, or with Shift held, the browser's own menu opens
+    handleContextMenu(e) {
+        if (e.shiftKey || !this.sectionManager.getNoteSelection()) return;
+
+        e.preventDefault();
+        this.open(e.clientX, e.clientY);
+    }
+
+    open(x, y) {
+        this.close();
+
+        const menu = document.createElement('div');
+        menu.className = 'tab-menu ai-context-menu';
+        menu.setAttribute('role', 'menu');
+
+        const heading = document.createElement('div');
+        heading.className = 'ai-context-heading';
+        heading.textContent = 'AI on selection';
+        menu.appendChild(heading);
+
+        this.aiTabs.tabElements.forEach(tabButton => {
+            const row = document.createElement('div');
+            row.className = 'ai-context-row';
+
+            const label = document.createElement('span');
+            label.textContent = tabButton.textContent;
+            row.appendChild(label);
+
+            AiContextMenu.targets.forEach(([target, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = text;
+                button.title = `${tabButton.textContent}: ${text === 'Panel' ? 'show the result in the right panel' : text.toLowerCase()}`;
+                button.addEventListener('click', () => {
+                    this.close();
+                    this.aiTabs.switchTab(tabButton);
+                    this.sectionManager.handleAiWrite(target);
+                });
+                row.appendChild(button);
+            });
+            menu.appendChild(row);
+        });
+
+        document.body.appendChild(menu);
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width))}px`;
+        menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height))}px`;
+        this.menu = menu;
+
+        document.addEventListener('mousedown', this.dismissHandler);
+        document.addEventListener('keydown', this.dismissHandler);
+    }
+
+    close() {
+        if (!this.menu) return;
+
+        this.menu.remove();
+        this.menu = null;
+        document.removeEventListener('mousedown', this.dismissHandler);
+        document.removeEventListener('keydown', this.dismissHandler);
+    }
+
+    cleanup() {
+        this.close();
+        this.noteElement.removeEventListener('contextmenu', this.contextMenuHandler);
+    }
+}
+
+// SnapshotManager Class: Automatic and named versions of each note, with a timeline, diff view and restore
+class SnapshotManager {
+    static snapshotInterval = 5 * 60 * 1000;
+    static maxAutomaticSnapshots = 30;
+    static maxNamedSnapshots = 20;
+    static maxAutomaticAge = 30 * 24 * 60 * 60 * 1000;
+    static largeDeletionLength = 200;
+    static diffContextLines = 3;
+
+    constructor(noteElement, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.selectedId = null;
+        this.lastContent = noteElement.innerText;
+
+        this.openBtn = document.getElementById('historyBtn');
+        this.modal = document.getElementById('snapshotModal');
+        this.nameInput = document.getElementById('snapshotNameInput');
+        this.saveBtn = document.getElementById('saveSnapshotBtn');
+        this.listElement = document.getElementById('snapshotList');
+        this.diffElement = document.getElementById('snapshotDiff');
+        this.restoreBtn = document.getElementById('restoreSnapshotBtn');
+        this.deleteBtn = document.getElementById('deleteSnapshotBtn');
+        this.closeBtn = document.getElementById('closeSnapshotBtn');
+
+        this.bindEvents();
+        this.intervalId = setInterval(() => this.takeAutomaticSnapshots(), SnapshotManager.snapshotInterval);
+    }
+
+    bindEvents() {
+        this.openBtn.addEventListener('click', () => this.open());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.saveBtn.addEventListener('click', () => this.saveNamedSnapshot());
+        this.restoreBtn.addEventListener('click', () => this.restoreSelected());
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveNamedSnapshot();
+            }
+        });
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        this.listElement.addEventListener('click', (event) => {
+            const item = event.target.closest('.snapshot-item');
+            if (item) {
+                this.select(item.dataset.id);
+            }
+        });
+
+        // Keep the text from before a large deletion, e.g. select all and delete
+        this.noteElement.addEventListener('input', () => {
+            const content = this.tabManager.getNoteText();
+            if (this.lastContent.length - content.length >= SnapshotManager.largeDeletionLength) {
+                this.takeSnapshot(this.getCurrentTabId(), this.lastContent, 'Before large deletion');
+            }
+            this.lastContent = content;
+        });
+        this.tabManager.onContentChange((content) => this.lastContent = content);
+        this.tabManager.onTabSwitch(() => {
+            this.lastContent = this.noteElement.innerText;
+            if (this.isOpen()) {
+                this.selectedId = null;
+                this.render();
+            }
+        });
+
+        StorageManager.addChangeListener((changes) => {
+            const tabId = this.getCurrentTabId();
+            if (this.isOpen() && tabId && changes.has(SnapshotManager.storageKey(tabId))) {
+                this.render();
+            }
+        });
+    }
+
+    static storageKey(tabId) {
+        return `${tabId}-snapshots`;
+    }
+
+    getCurrentTabId() {
+        const tab = this.tabManager.getCurrentTab();
+        return tab ? tab.id : null;
+    }
+
+    getSnapshots(tabId) {
+        try {
+            return JSON.parse(StorageManager.getFromLocalStorage(SnapshotManager.storageKey(tabId), '[]'));
+        } catch (error) {
+            console.error('Ignoring unreadable snapshots:', error);
+            return [];
+        }
+    }
+
+    saveSnapshots(tabId, snapshots) {
+        StorageManager.saveToLocalStorage(SnapshotManager.storageKey(tabId), JSON.stringify(this.applyRetention(snapshots)));
+    }
+
+    // Named snapshots are kept until there are too many; automatic ones also expire with age
+    applyRetention(snapshots) {
+        const now = Date.now();
+        const named = snapshots.filter(snapshot => !snapshot.auto).slice(-SnapshotManager.maxNamedSnapshots);
+        const automatic = snapshots
+            .filter(snapshot => snapshot.auto && now - snapshot.time <= SnapshotManager.maxAutomaticAge)
+            .slice(-SnapshotManager.maxAutomaticSnapshots);
+        return named.concat(automatic).sort((a, b) => a.time - b.time);
+    }
+
+    takeSnapshot(tabId, content, name = '', auto = true) {
+        if (!tabId) return null;
+
+        const snapshots = this.getSnapshots(tabId);
+        const latest = snapshots[snapshots.length - 1];
+        if (auto && latest && latest.content === content) return null;
+
+        const time = Math.max(Date.now(), latest ? latest.time + 1 : 0);
+        const snapshot = { id: String(time), time, name, auto, content };
+        snapshots.push(snapshot);
+        this.saveSnapshots(tabId, snapshots);
+        return snapshot;
+    }
+
+    // Stores each note that changed since its latest snapshot
+    takeAutomaticSnapshots() {
+        const currentTabId = this.getCurrentTabId();
+        this.tabManager.tabs.forEach(tab => {
+            const content = tab.id === currentTabId
+                ? this.noteElement.innerText
+                : StorageManager.getFromLocalStorage(tab.id, '');
+            if (content) {
+                this.takeSnapshot(tab.id, content);
+            }
+        });
+    }
+
+    saveNamedSnapshot() {
+        const name = this.nameInput.value.trim() || 'Snapshot';
+        const snapshot = this.takeSnapshot(this.getCurrentTabId(), this.noteElement.innerText, name, false);
+        this.nameInput.value = '';
+        if (snapshot) {
+            this.selectedId = snapshot.id;
+            this.render();
+        }
+    }
+
+    isOpen() {
+        return this.modal.style.display === 'flex';
+    }
+
+    open() {
+        this.selectedId = null;
+        this.modal.style.display = 'flex';
+        this.render();
+        this.nameInput.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    getSelected() {
+        const tabId = this.getCurrentTabId();
+        if (!tabId || !this.selectedId) return null;
+        return this.getSnapshots(tabId).find(snapshot => snapshot.id === this.selectedId) || null;
+    }
+
+    select(id) {
+        this.selectedId = id;
+        this.render();
+    }
+
+    render() {
+        const tabId = this.getCurrentTabId();
+        const snapshots = tabId ? this.getSnapshots(tabId).reverse() : [];
+        if (!snapshots.some(snapshot => snapshot.id === this.selectedId)) {
+            this.selectedId = snapshots.length ? snapshots[0].id : null;
+        }
+
+        this.listElement.replaceChildren();
+        if (!snapshots.length) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = 'No snapshots of this note yet.';
+            this.listElement.appendChild(empty);
+        }
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.id = snapshot.id;
+            item.classList.toggle('selected', snapshot.id === this.selectedId);
+
+            const title = document.createElement('div');
+            title.className = 'snapshot-title';
+            title.textContent = snapshot.name || 'Automatic snapshot';
+
+            const meta = document.createElement('div');
+            meta.className = 'snapshot-meta';
+            meta.textContent = `${new Date(snapshot.time).toLocaleString()} · ${snapshot.content.length} characters`;
+
+            item.append(title, meta);
+            this.listElement.appendChild(item);
+        });
+
+        const selected = this.getSelected();
+        this.restoreBtn.disabled = !selected;
+        this.deleteBtn.disabled = !selected;
+        this.renderDiff(selected);
+    }
+
+    // Side-by-side line diff of the snapshot against the current text, folding long unchanged runs
+    renderDiff(snapshot) {
+        this.diffElement.replaceChildren();
+        if (!snapshot) return;
+
+        const current = this.noteElement.innerText;
+        if (snapshot.content === current) {
+            const same = document.createElement('p');
+            same.className = 'snapshot-empty';
+            same.textContent = 'This snapshot matches the current text.';
+            this.diffElement.appendChild(same);
+            return;
+        }
+
+        const ops = diffSequences(snapshot.content.split('\n'), current.split('\n'));
+        const table = document.createElement('table');
+        table.className = 'diff-table';
+        const header = table.insertRow();
+        ['Snapshot', 'Current'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.colSpan = 2;
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        let oldLine = 0;
+        let newLine = 0;
+        let index = 0;
+        while (index < ops.length) {
+            if (ops[index].type === 'equal') {
+                let end = index;
+                while (end < ops.length && ops[end].type === 'equal') end++;
+                const context = SnapshotManager.diffContextLines;
+                const keepHead = index === 0 ? 0 : context;
+                const keepTail = end === ops.length ? 0 : context;
+                for (let i = index; i < end; i++) {
+                    oldLine++;
+                    newLine++;
+                    if (i - index < keepHead || end - i <= keepTail) {
+                        this.addDiffRow(table, oldLine, ops[i].value, newLine, ops[i].value, 'equal');
+                    } else if (i - index === keepHead) {
+                        const skipped = end - index - keepHead - keepTail;
+                        const row = table.insertRow();
+                        row.className = 'diff-fold';
+                        const cell = row.insertCell();
+                        cell.colSpan = 4;
+                        cell.textContent = `${skipped} unchanged line${skipped === 1 ? '' : 's'}`;
+                    }
+                }
+                index = end;
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < ops.length && ops[index].type !== 'equal') {
+                (ops[index].type === 'delete' ? removed : added).push(ops[index].value);
+                index++;
+            }
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                this.addDiffRow(
+                    table,
+                    i < removed.length ? ++oldLine : '', i < removed.length ? removed[i] : null,
+                    i < added.length ? ++newLine : '', i < added.length ? added[i] : null,
+                    'change'
+                );
+            }
+        }
+        this.diffElement.appendChild(table);
+    }
+
+    addDiffRow(table, oldNumber, oldText, newNumber, newText, type) {
+        const row = table.insertRow();
+        [[oldNumber, oldText, 'diff-removed'], [newNumber, newText, 'diff-added']].forEach(([number, text, changeClass]) => {
+            const numberCell = row.insertCell();
+            numberCell.className = 'diff-line-number';
+            numberCell.textContent = number;
+            const textCell = row.insertCell();
+            textCell.className = 'diff-text';
+            textCell.textContent = text === null ? '' : text;
+            if (type === 'change') {
+                textCell.classList.add(text === null ? 'diff-blank' : changeClass);
+            }
+        });
+    }
+
+    restoreSelected() {
+        const snapshot = this.getSelected();
+        if (!snapshot) return;
+
+        const tabId = this.getCurrentTabId();
+        this.takeSnapshot(tabId, this.noteElement.innerText, 'Before restore');
+        this.tabManager.commitContent(snapshot.content);
+        this.close();
+    }
+
+    deleteSelected() {
+        const snapshot = this.getSelected();
+        if (!snapshot || !confirm('Delete this snapshot?')) return;
+
+        const tabId = this.getCurrentTabId();
+        this.saveSnapshots(tabId, this.getSnapshots(tabId).filter(item => item.id !== snapshot.id));
+        this.selectedId = null;
+        this.render();
+    }
+
+    cleanup() {
+        clearInterval(this.intervalId);
+    }
+}
+
+// TrashManager Class: Recycle bin for closed tabs, restorable to their old position until purged
+class TrashManager {
+    static defaultRetentionDays = 30;
+    static purgeInterval = 60 * 60 * 1000;
+
+    constructor(tabManager) {
+        this.tabManager = tabManager;
+
+        this.openBtn = document.getElementById('trashBtn');
+        this.modal = document.getElementById('trashModal');
+        this.listElement = document.getElementById('trashList');
+        this.retentionInput = document.getElementById('trashRetentionInput');
+        this.emptyBtn = document.getElementById('emptyTrashBtn');
+        this.closeBtn = document.getElementById('closeTrashBtn');
+
+        this.bindEvents();
+        this.purgeExpired();
+        this.intervalId = setInterval(() => this.purgeExpired(), TrashManager.purgeInterval);
+    }
+
+    bindEvents() {
+        this.openBtn.addEventListener('click', () => this.open());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.emptyBtn.addEventListener('click', () => this.emptyTrash());
+        this.retentionInput.addEventListener('change', () => this.saveRetentionDays());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const tabId = button.closest('.trash-item').dataset.id;
+            if (button.dataset.action === 'restore') {
+                this.restore(tabId);
+            } else {
+                this.purge(tabId);
+            }
+        });
+
+        StorageManager.addChangeListener((changes) => {
+            if (this.isOpen() && Array.from(changes.keys()).some(key => key.startsWith('trash-'))) {
+                this.render();
+            }
+        });
+    }
+
+    static storageKey(tabId) {
+        return `trash-${tabId}`;
+    }
+
+    getRetentionDays() {
+        const days = parseInt(StorageManager.getFromLocalStorage('trashRetentionDays', TrashManager.defaultRetentionDays), 10);
+        return days > 0 ? days : TrashManager.defaultRetentionDays;
+    }
+
+    saveRetentionDays() {
+        const days = parseInt(this.retentionInput.value, 10);
+        if (days > 0) {
+            StorageManager.saveToLocalStorage('trashRetentionDays', days);
+            this.purgeExpired();
+        }
+        this.retentionInput.value = this.getRetentionDays();
+    }
+
+    getItems() {
+        return StorageManager.keys()
+            .filter(key => /^trash-note-\d+$/.test(key))
+            .map(key => {
+                const value = StorageManager.getFromLocalStorage(key, null);
+                if (value === null) return null;
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    console.error('Ignoring unreadable trash entry:', key, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    // Moves the tab's stored keys into one trash entry, remembering where the tab was
+    moveToTrash(tab, index) {
+        const entries = {};
+        this.tabManager.getTabKeys(tab.id).forEach(key => {
+            const value = StorageManager.getFromLocalStorage(key, null);
+            if (value !== null) {
+                entries[key] = value;
+            }
+            StorageManager.removeFromLocalStorage(key);
+        });
+
+        const item = { tab, index, deletedAt: Date.now(), entries };
+        StorageManager.saveToLocalStorage(TrashManager.storageKey(tab.id), JSON.stringify(item));
+    }
+
+    restore(tabId) {
+        const item = this.getItems().find(entry => entry.tab.id === tabId);
+        if (!item) return;
+        if (this.tabManager.tabs.some(tab => tab.id === tabId)) {
+            alert('A tab with this note is already open.');
+            return;
+        }
+
+        Object.entries(item.entries).forEach(([key, value]) => {
+            StorageManager.saveToLocalStorage(key, value);
+        });
+        StorageManager.removeFromLocalStorage(TrashManager.storageKey(tabId));
+        this.tabManager.restoreTab(item.tab, item.index);
+        this.render();
+    }
+
+    purge(tabId) {
+        StorageManager.removeFromLocalStorage(TrashManager.storageKey(tabId));
+        this.render();
+    }
+
+    emptyTrash() {
+        const items = this.getItems();
+        if (!items.length || !confirm(`Permanently delete ${items.length} closed tab${items.length === 1 ? '' : 's'}?`)) return;
+
+        items.forEach(item => StorageManager.removeFromLocalStorage(TrashManager.storageKey(item.tab.id)));
+        this.render();
+    }
+
+    purgeExpired() {
+        const cutoff = Date.now() - this.getRetentionDays() * 24 * 60 * 60 * 1000;
+        this.getItems()
+            .filter(item => item.deletedAt < cutoff)
+            .forEach(item => StorageManager.removeFromLocalStorage(TrashManager.storageKey(item.tab.id)));
+    }
+
+    isOpen() {
+        return this.modal.style.display === 'flex';
+    }
+
+    open() {
+        this.retentionInput.value = this.getRetentionDays();
+        this.modal.style.display = 'flex';
+        this.render();
+        this.closeBtn.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    render() {
+        const items = this.getItems();
+        this.listElement.replaceChildren();
+        this.emptyBtn.disabled = !items.length;
+
+        if (!items.length) {
+            const empty = document.createElement('li');
+            empty.className = 'trash-empty';
+            empty.textContent = 'The recycle bin is empty.';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const element = document.createElement('li');
+            element.className = 'trash-item';
+            element.dataset.id = item.tab.id;
+
+            const details = document.createElement('div');
+            details.className = 'trash-details';
+            const title = document.createElement('div');
+            title.className = 'trash-title';
+            title.textContent = item.tab.title;
+            const meta = document.createElement('div');
+            meta.className = 'trash-meta';
+            const preview = (item.entries[item.tab.id] || '').trim().slice(0, 80);
+            meta.textContent = `Closed ${new Date(item.deletedAt).toLocaleString()}${preview ? ` · ${preview}` : ''}`;
+            details.append(title, meta);
+
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.dataset.action = 'restore';
+            restoreButton.textContent = 'Restore';
+            const purgeButton = document.createElement('button');
+            purgeButton.type = 'button';
+            purgeButton.dataset.action = 'purge';
+            purgeButton.textContent = 'Delete forever';
+
+            element.append(details, restoreButton, purgeButton);
+            this.listElement.appendChild(element);
+        });
+    }
+
+    cleanup() {
+        clearInterval(this.intervalId);
+    }
+}
+
+// WorkspaceManager Class: Exports every tab, AI output and setting to one JSON file and imports it back
+class WorkspaceManager {
+    static format = 'browser-notepad-workspace';
+    static version = 1;
+    static excludedSettings = ['tabs', 'currentTabIndex', 'activeAiSection', 'storageMigrated', 'aiUsage', 'aiDailyQuota'];
+    static secretSettings = ['apiKey', 'openAiApiKey'];
+    static endpointSettings = ['aiProvider', 'openAiBaseUrl', 'openAiModel'];
+
+    constructor(tabManager, trashManager, snapshotManager) {
+        this.tabManager = tabManager;
+        this.trashManager = trashManager;
+        this.snapshotManager = snapshotManager;
+        this.pendingImport = null;
+
+        this.openBtn = document.getElementById('backupBtn');
+        this.modal = document.getElementById('workspaceModal');
+        this.includeSecretsToggle = document.getElementById('includeApiKeysToggle');
+        this.exportBtn = document.getElementById('exportWorkspaceBtn');
+        this.importBtn = document.getElementById('importWorkspaceBtn');
+        this.previewElement = document.getElementById('workspacePreview');
+        this.modeInputs = document.querySelectorAll('input[name="importMode"]');
+        this.applyBtn = document.getElementById('applyImportBtn');
+        this.closeBtn = document.getElementById('closeWorkspaceBtn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.openBtn.addEventListener('click', () => this.open());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.exportBtn.addEventListener('click', () => this.exportWorkspace());
+        this.importBtn.addEventListener('click', () => this.chooseImportFile());
+        this.applyBtn.addEventListener('click', () => this.applyImport());
+        this.modeInputs.forEach(input => input.addEventListener('change', () => this.renderPreview()));
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    open() {
+        this.pendingImport = null;
+        this.includeSecretsToggle.checked = false;
+        this.modal.style.display = 'flex';
+        this.renderPreview();
+        this.exportBtn.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+        this.pendingImport = null;
+    }
+
+    getImportMode() {
+        const checked = Array.from(this.modeInputs).find(input => input.checked);
+        return checked ? checked.value : 'merge';
+    }
+
+    isSettingKey(key, includeSecrets) {
+        if (StorageManager.storeForKey(key) !== 'settings') return false;
+        if (WorkspaceManager.excludedSettings.includes(key)) return false;
+        return includeSecrets || !WorkspaceManager.secretSettings.includes(key);
+    }
+
+    buildWorkspace(includeSecrets) {
+        this.tabManager.saveCurrentTabContent();
+
+        const tabs = this.tabManager.tabs.map(tab => {
+            const aiOutputs = {};
+            this.tabManager.getTabKeys(tab.id)
+                .filter(key => StorageManager.storeForKey(key) === 'aiOutputs')
+                .forEach(key => {
+                    const value = StorageManager.getFromLocalStorage(key, null);
+                    if (value !== null) {
+                        aiOutputs[key.slice(tab.id.length + 1)] = value;
+                    }
+                });
+            return Object.assign({}, tab, {
+                content: StorageManager.getFromLocalStorage(tab.id, ''),
+                aiOutputs
+            });
+        });
+
+        const settings = {};
+        StorageManager.keys()
+            .filter(key => this.isSettingKey(key, includeSecrets))
+            .forEach(key => {
+                const value = StorageManager.getFromLocalStorage(key, null);
+                if (value !== null) {
+                    settings[key] = value;
+                }
+            });
+
+        return {
+            format: WorkspaceManager.format,
+            version: WorkspaceManager.version,
+            exportedAt: new Date().toISOString(),
+            tabs,
+            settings
+        };
+    }
+
+    exportWorkspace() {
+        const workspace = this.buildWorkspace(this.includeSecretsToggle.checked);
+        const blob = new Blob([JSON.stringify(workspace, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `notepad-workspace-${new Date().toISOString()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    chooseImportFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                file.text().then(text => this.loadImport(text));
+            }
+        };
+        input.click();
+    }
+
+    loadImport(text) {
+        try {
+            this.pendingImport = WorkspaceManager.parseWorkspace(text);
+        } catch (error) {
+            this.pendingImport = null;
+            alert(`This file can't be imported: ${error.message}`);
+        }
+        this.renderPreview();
+    }
+
+    static parseWorkspace(text) {
+        const workspace = JSON.parse(text);
+        if (!workspace || workspace.format !== WorkspaceManager.format) {
+            throw new Error('it is not a notepad workspace export.');
+        }
+        if (workspace.version > WorkspaceManager.version) {
+            throw new Error('it was written by a newer version of the notepad.');
+        }
+        const tabs = (Array.isArray(workspace.tabs) ? workspace.tabs : [])
+            .filter(tab => tab && typeof tab === 'object')
+            .map(tab => Object.assign({}, tab, {
+                title: String(tab.title || 'Untitled'),
+                content: String(tab.content || ''),
+                aiOutputs: tab.aiOutputs && typeof tab.aiOutputs === 'object' ? tab.aiOutputs : {}
+            }));
+        if (!tabs.length) {
+            throw new Error('it contains no tabs.');
+        }
+        const settings = workspace.settings && typeof workspace.settings === 'object' ? workspace.settings : {};
+        return { tabs, settings };
+    }
+
+    // Works out which tabs and settings an import adds, changes or removes
+    planImport(workspace, mode) {
+        const openTabs = this.tabManager.tabs;
+        const usedIds = new Set();
+        const tabs = workspace.tabs.map(imported => {
+            let id = /^note-\d+$/.test(imported.id) && !usedIds.has(imported.id) ? imported.id : null;
+            const existing = id ? openTabs.find(tab => tab.id === id) : null;
+            if (!existing) {
+                // Ids of tabs that are not open may still belong to a closed tab in the recycle bin
+                id = null;
+            }
+            if (!id) {
+                id = this.generateImportId(usedIds);
+            }
+            usedIds.add(id);
+
+            const tab = Object.assign({}, imported, { id });
+            delete tab.content;
+            delete tab.aiOutputs;
+            const changed = existing && StorageManager.getFromLocalStorage(id, '') !== imported.content;
+
+            // Only AI outputs that differ from the stored ones are written, and the preview lists them
+            const aiOutputs = {};
+            Object.entries(imported.aiOutputs).forEach(([suffix, value]) => {
+                const key = `${id}-${suffix}`;
+                if (StorageManager.storeForKey(key) === 'aiOutputs' && StorageManager.getFromLocalStorage(key, null) !== String(value)) {
+                    aiOutputs[suffix] = value;
+                }
+            });
+            return { tab, existing, changed, content: imported.content, aiOutputs };
+        });
+
+        const removed = mode === 'replace'
+            ? openTabs.filter(tab => !tabs.some(item => item.tab.id === tab.id))
+            : [];
+        const settings = Object.keys(workspace.settings).filter(key => {
+            return this.isSettingKey(key, true) &&
+                !WorkspaceManager.endpointSettings.includes(key) &&
+                StorageManager.getFromLocalStorage(key, null) !== String(workspace.settings[key]);
+        });
+
+        return { mode, tabs, removed, settings, settingValues: workspace.settings };
+    }
+
+    generateImportId(usedIds) {
+        let timestamp = Date.now();
+        const taken = (id) => usedIds.has(id) ||
+            this.tabManager.tabs.some(tab => tab.id === id) ||
+            StorageManager.getFromLocalStorage(TrashManager.storageKey(id), null) !== null;
+        while (taken(`note-${timestamp}`)) {
+            timestamp += 1;
+        }
+        return `note-${timestamp}`;
+    }
+
+    renderPreview() {
+        this.previewElement.replaceChildren();
+        this.applyBtn.disabled = !this.pendingImport;
+        if (!this.pendingImport) {
+            const hint = document.createElement('p');
+            hint.className = 'workspace-hint';
+            hint.textContent = 'Choose a workspace file to see what importing it would change.';
+            this.previewElement.appendChild(hint);
+            return;
+        }
+
+        const plan = this.planImport(this.pendingImport, this.getImportMode());
+        const added = plan.tabs.filter(item => !item.existing);
+        const updated = plan.tabs.filter(item => item.changed);
+        const unchanged = plan.tabs.length - added.length - updated.length;
+        const outputs = plan.tabs.flatMap(item => Object.keys(item.aiOutputs).map(suffix => `${item.tab.title} › ${suffix}`));
+        const lines = [
+            [`${added.length} new tab${added.length === 1 ? '' : 's'}`, added.map(item => item.tab.title)],
+            [`${updated.length} tab${updated.length === 1 ? '' : 's'} replaced by the imported text (the current text is kept as a snapshot)`, updated.map(item => item.tab.title)],
+            [`${plan.removed.length} tab${plan.removed.length === 1 ? '' : 's'} moved to the recycle bin`, plan.removed.map(tab => tab.title)],
+            [`${outputs.length} AI output${outputs.length === 1 ? '' : 's'} added or replaced`, outputs],
+            [`${plan.settings.length} setting${plan.settings.length === 1 ? '' : 's'} changed`, plan.settings],
+            [`${unchanged} tab${unchanged === 1 ? '' : 's'} unchanged`, []]
+        ];
+
+        const list = document.createElement('ul');
+        list.className = 'workspace-changes';
+        lines.forEach(([summary, names]) => {
+            const item = document.createElement('li');
+            item.textContent = summary;
+            if (names.length) {
+                const detail = document.createElement('div');
+                detail.className = 'workspace-change-names';
+                detail.textContent = names.join(', ');
+                item.appendChild(detail);
+            }
+            list.appendChild(item);
+        });
+        this.previewElement.appendChild(list);
+    }
+
+    applyImport() {
+        if (!this.pendingImport) return;
+
+        const plan = this.planImport(this.pendingImport, this.getImportMode());
+        this.tabManager.saveCurrentTabContent();
+        this.tabManager.persistHistories();
+
+        plan.removed.forEach(tab => {
+            this.trashManager.moveToTrash(tab, this.tabManager.tabs.indexOf(tab));
+        });
+
+        plan.tabs.forEach(item => {
+            if (item.changed) {
+                const current = StorageManager.getFromLocalStorage(item.tab.id, '');
+                this.snapshotManager.takeSnapshot(item.tab.id, current, 'Before workspace import');
+                this.tabManager.setTabContent(item.tab.id, item.content);
+            } else if (!item.existing) {
+                StorageManager.saveToLocalStorage(item.tab.id, item.content);
+            }
+            Object.entries(item.aiOutputs).forEach(([suffix, value]) => {
+                StorageManager.saveToLocalStorage(`${item.tab.id}-${suffix}`, String(value));
+            });
+        });
+
+        plan.settings.forEach(key => {
+            StorageManager.saveToLocalStorage(key, String(plan.settingValues[key]));
+        });
+
+        const importedTabs = plan.tabs.map(item => Object.assign({}, item.existing, item.tab));
+        const tabs = plan.mode === 'replace'
+            ? importedTabs
+            : this.tabManager.tabs.map(tab => importedTabs.find(item => item.id === tab.id) || tab)
+                .concat(importedTabs.filter(tab => !this.tabManager.tabs.some(item => item.id === tab.id)));
+
+        this.tabManager.reloadTabs(tabs);
+        this.tabManager.saveTabsToStorage();
+        this.close();
+    }
+}
+
+// ExportManager Class: Export dialog for txt, Markdown, HTML and DOCX files, and the print layout
+class ExportManager {
+    static formats = {
+        txt: { extension: 'txt', type: 'text/plain' },
+        md: { extension: 'md', type: 'text/markdown' },
+        html: { extension: 'html', type: 'text/html' },
+        docx: { extension: 'docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+    };
+    static defaultOptions = { format: 'txt', summary: false, keywords: false, translation: false };
+
+    static documentStyles = `
+        body { font-family: Georgia, serif; line-height: 1.6; margin: 2em; }
+        .document-header { border-bottom: 1px solid #ccc; margin-bottom: 1.5em; }
+        .document-header h1 { margin: 0; }
+        .document-date { color: #777; font-size: 0.9em; }
+        .note-text { font-family: inherit; white-space: pre-wrap; overflow-wrap: anywhere; margin: 0; }
+        .appendix { margin-top: 2em; break-inside: avoid-page; }
+        .appendix h2 { border-bottom: 1px solid #eee; }
+    `;
+
+    constructor(noteElement, tabManager, markdownManager, translationManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.markdownManager = markdownManager;
+        this.translationManager = translationManager;
+
+        this.modal = document.getElementById('exportModal');
+        this.formatSelect = document.getElementById('exportFormatSelect');
+        this.sectionToggles = {
+            summary: document.getElementById('exportSummaryToggle'),
+            keywords: document.getElementById('exportKeywordsToggle'),
+            translation: document.getElementById('exportTranslationToggle')
+        };
+        this.downloadBtn = document.getElementById('exportDownloadBtn');
+        this.printBtn = document.getElementById('exportPrintBtn');
+        this.closeBtn = document.getElementById('closeExportBtn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.downloadBtn.addEventListener('click', () => {
+            this.saveOptions();
+            this.download();
+            this.close();
+        });
+        this.printBtn.addEventListener('click', () => {
+            this.saveOptions();
+            this.close();
+            this.print();
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    getOptions() {
+        try {
+            const saved = JSON.parse(StorageManager.getFromLocalStorage('exportOptions', '{}'));
+            return Object.assign({}, ExportManager.defaultOptions, saved);
+        } catch (error) {
+            return Object.assign({}, ExportManager.defaultOptions);
+        }
+    }
+
+    saveOptions() {
+        const options = { format: this.formatSelect.value };
+        Object.entries(this.sectionToggles).forEach(([section, toggle]) => {
+            options[section] = toggle.checked;
+        });
+        StorageManager.saveToLocalStorage('exportOptions', JSON.stringify(options));
+    }
+
+    open() {
+        const options = this.getOptions();
+        if (this.markdownManager.isMarkdown() && options.format === 'txt') {
+            options.format = 'md';
+        }
+        this.formatSelect.value = options.format;
+        Object.entries(this.sectionToggles).forEach(([section, toggle]) => {
+            toggle.checked = Boolean(options[section]);
+        });
+        this.modal.style.display = 'flex';
+        this.formatSelect.focus();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    // Collects the note, its title and the AI sections chosen in the options
+    buildDocument(options) {
+        const tab = this.tabManager.getCurrentTab();
+        const sections = [];
+        if (tab) {
+            const addSection = (enabled, heading, key) => {
+                const text = enabled ? StorageManager.getFromLocalStorage(key, '').trim() : '';
+                if (text) {
+                    sections.push({ heading, text });
+                }
+            };
+            addSection(options.summary, 'Summary', `${tab.id}-summary`);
+            addSection(options.keywords, 'Keywords', `${tab.id}-keywords`);
+            addSection(options.translation, `Translation (${this.translationManager.getSelectedLanguageName()})`,
+                `${tab.id}-translation-${this.translationManager.getSelectedLanguage()}`);
+        }
+
+        return {
+            title: tab ? tab.title : 'Note',
+            text: this.noteElement.innerText,
+            markdown: this.markdownManager.isMarkdown(),
+            date: new Date(),
+            sections
+        };
+    }
+
+    static fileName(title, extension) {
+        const base = title.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').trim() || 'note';
+        return `${base}.${extension}`;
+    }
+
+    download() {
+        const options = this.getOptions();
+        const format = ExportManager.formats[options.format] || ExportManager.formats.txt;
+        const doc = this.buildDocument(options);
+
+        let blob;
+        if (options.format === 'docx') {
+            blob = ExportManager.toDocx(doc);
+        } else {
+            const content = options.format === 'html' ? ExportManager.toHtml(doc)
+                : options.format === 'md' ? ExportManager.toMarkdown(doc)
+                : ExportManager.toText(doc);
+            blob = new Blob([content], { type: format.type });
+        }
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = ExportManager.fileName(doc.title, format.extension);
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    static toText(doc) {
+        const parts = [doc.title, '='.repeat(doc.title.length), '', doc.text];
+        doc.sections.forEach(section => {
+            parts.push('', section.heading, '-'.repeat(section.heading.length), '', section.text);
+        });
+        return parts.join('\n');
+    }
+
+    static toMarkdown(doc) {
+        const parts = [`# ${doc.title}`, '', doc.text];
+        doc.sections.forEach(section => {
+            parts.push('', `## ${section.heading}`, '', section.text);
+        });
+        return parts.join('\n');
+    }
+
+    static toHtml(doc, extraStyles = '') {
+        const escape = MarkdownRenderer.escapeHtml;
+        const body = doc.markdown
+            ? `<article class="markdown-body">${MarkdownRenderer.render(doc.text)}</article>`
+            : `<pre class="note-text">${escape(doc.text)}</pre>`;
+        const sections = doc.sections.map(section => {
+            return `<section class="appendix"><h2>${escape(section.heading)}</h2><p class="note-text">${escape(section.text)}</p></section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escape(doc.title)}</title>
+<style>${MarkdownManager.printStyles}${ExportManager.documentStyles}${extraStyles}</style>
+</head>
+<body>
+<header class="document-header"><h1>${escape(doc.title)}</h1><div class="document-date">${escape(doc.date.toLocaleString())}</div></header>
+${body}
+${sections}
+</body>
+</html>`;
+    }
+
+    static escapeXml(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static docxParagraph(text, style = null) {
+        const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+        const runs = text.split('\t').map(part => `<w:t xml:space="preserve">${ExportManager.escapeXml(part)}</w:t>`).join('<w:tab/>');
+        return `<w:p>${properties}<w:r>${runs}</w:r></w:p>`;
+    }
+
+    // Builds a minimal Word document: one paragraph per line, Markdown headings as heading styles
+    static toDocx(doc) {
+        const paragraphs = [ExportManager.docxParagraph(doc.title, 'Title')];
+        doc.text.split('\n').forEach(line => {
+            const heading = doc.markdown && line.match(/^(#{1,3})\s+(.*)$/);
+            paragraphs.push(heading
+                ? ExportManager.docxParagraph(heading[2], `Heading${heading[1].length}`)
+                : ExportManager.docxParagraph(line));
+        });
+        doc.sections.forEach(section => {
+            paragraphs.push(ExportManager.docxParagraph(section.heading, 'Heading1'));
+            section.text.split('\n').forEach(line => paragraphs.push(ExportManager.docxParagraph(line)));
+        });
+
+        const namespace = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+        const headingStyle = (id, name, size) => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>'
+            },
+            {
+                name: 'word/styles.xml',
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles ${namespace}><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:sz w:val="22"/></w:rPr></w:style>${headingStyle('Title', 'Title', 48)}${headingStyle('Heading1', 'heading 1', 32)}${headingStyle('Heading2', 'heading 2', 28)}${headingStyle('Heading3', 'heading 3', 24)}</w:styles>`
+            },
+            {
+                name: 'word/document.xml',
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document ${namespace}><w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`
+            }
+        ]);
+    }
+
+    // Print layout with the title as a running header and page numbers in the footer
+    print() {
+        const doc = this.buildDocument(this.getOptions());
+        // Escaping < keeps a title such as "</style>" from closing the style element
+        const title = doc.title.replace(/["\\]/g, '\\$&').replace(/</g, '\\3C ').replace(/[\r\n]/g, ' ');
+        const pageStyles = `
+            @page {
+                margin: 2cm;
+                @top-center { content: "${title}"; font-size: 9pt; color: #777; }
+                @bottom-center { content: "Page " counter(page) " of " counter(pages); font-size: 9pt; color: #777; }
+            }
+            @media print { body { margin: 0; } }
+        `;
+
+        const printWindow = window.open('', '_blank');
+        printWindow.document.open();
+        printWindow.document.write(ExportManager.toHtml(doc, pageStyles));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        printWindow.close();
+    }
+}
+
+// UploadManager Class: Imports text, Markdown, HTML, JSON, CSV and log files into notes
+class UploadManager {
+    static extensions = ['txt', 'md', 'markdown', 'html', 'htm', 'json', 'csv', 'log'];
+
+    constructor(noteElement, uploadBtnId, tabManager) {
+        this.noteElement = noteElement;
+        this.tabManager = tabManager;
+        this.uploadBtn = document.getElementById(uploadBtnId);
+        this.tabBar = document.getElementById('tab-bar');
+        this.snapshotManager = null;
+        this.markdownManager = null;
+        this.syntaxManager = null;
+        this.bindEvents();
+    }
+
+    setSnapshotManager(snapshotManager) {
+        this.snapshotManager = snapshotManager;
+    }
+
+    setModeManagers(markdownManager, syntaxManager) {
+        this.markdownManager = markdownManager;
+        this.syntaxManager = syntaxManager;
+    }
+
+    bindEvents() {
+        this.uploadBtn.addEventListener('click', () => this.triggerUpload());
+
+        // Files dropped on the tab bar open as new tabs
+        this.tabBar.addEventListener('dragover', (e) => {
+            if (!UploadManager.hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.tabBar.classList.add('file-drop-target');
+        });
+        this.tabBar.addEventListener('dragleave', (e) => {
+            if (!this.tabBar.contains(e.relatedTarget)) {
+                this.tabBar.classList.remove('file-drop-target');
+            }
+        });
+        this.tabBar.addEventListener('drop', (e) => {
+            this.tabBar.classList.remove('file-drop-target');
+            if (!UploadManager.hasFiles(e)) return;
+            e.preventDefault();
+            this.importFiles(Array.from(e.dataTransfer.files), true);
+        });
+    }
+
+    static hasFiles(event) {
+        return Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types).includes('Files');
+    }
+
+    static getExtension(fileName) {
+        const match = fileName.match(/\.([^.]+)$/);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    triggerUpload() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = UploadManager.extensions.map(extension => `.${extension}`).join(',');
+        input.onchange = (e) => this.handleFileSelect(e);
+        input.click();
+    }
+
+    // A single file replaces the current note, several files open as new tabs
+    handleFileSelect(event) {
+        const files = Array.from(event.target.files);
+        if (!files.length) return;
+        this.importFiles(files, files.length > 1);
+    }
+
+    async importFiles(files, asNewTabs) {
+        const supported = files.filter(file => UploadManager.extensions.includes(UploadManager.getExtension(file.name)));
+        const skipped = files.filter(file => !supported.includes(file));
+        if (skipped.length) {
+            alert(`These files can't be imported: ${skipped.map(file => file.name).join(', ')}.\nSupported formats: ${UploadManager.extensions.join(', ')}.`);
+        }
+
+        let lastTab = null;
+        for (const file of supported) {
+            try {
+                const imported = UploadManager.convert(file.name, await file.text());
+                if (asNewTabs) {
+                    lastTab = this.tabManager.insertTab(imported.title, imported.content, undefined, { mode: imported.mode, language: imported.language });
+                } else {
+                    this.replaceCurrentNote(imported);
+                }
+            } catch (error) {
+                console.error('Import failed:', file.name, error);
+                alert(`Couldn't import ${file.name}: ${error.message}`);
+            }
+        }
+
+        if (lastTab) {
+            this.tabManager.switchTab(this.tabManager.tabs.indexOf(lastTab));
+        }
+    }
+
+    // Turns a file's text into note content, a tab title, an editor mode and a language mode
+    static convert(fileName, text) {
+        const extension = UploadManager.getExtension(fileName);
+        const title = fileName.replace(/\.[^.]+$/, '') || fileName;
+        let content = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        let mode = 'plain';
+        let language = 'auto';
+
+        if (extension === 'md' || extension === 'markdown') {
+            mode = 'markdown';
+        } else if (extension === 'html' || extension === 'htm') {
+            content = HtmlToMarkdown.convert(content);
+            mode = 'markdown';
+        } else if (extension === 'json') {
+            language = 'json';
+            try {
+                content = JSON.stringify(JSON.parse(content), null, 2);
+            } catch (error) {
+                // Keep invalid JSON as it is so it can be fixed in the editor
+            }
+        } else if (extension === 'log') {
+            language = 'log';
+        }
+
+        return { title, content, mode, language };
+    }
+
+    // Like a file opened as a new tab, the note takes the file's editor mode and language mode
+    replaceCurrentNote(imported) {
+        if (this.snapshotManager) {
+            this.snapshotManager.takeSnapshot(this.snapshotManager.getCurrentTabId(), this.tabManager.getNoteText(), 'Before upload');
+        }
+        this.tabManager.commitContent(imported.content);
+        if (this.markdownManager) {
+            this.markdownManager.setMarkdown(imported.mode === 'markdown');
+        }
+        if (this.syntaxManager) {
+            this.syntaxManager.setMode(imported.language);
+        }
+    }
+}
+
+// CommandRegistry Class: Every app action as a named command, with default and user-remapped keyboard shortcuts
+class CommandRegistry {
+    static modifierKeys = ['Control', 'Shift', 'Alt', 'Meta'];
+
+    constructor() {
+        this.commands = new Map();
+        this.overrides = {};
+        this.paused = false;
+        this.changeListeners = new Set();
+
+        this.loadOverrides();
+        this.keydownHandler = (e) => this.handleKeydown(e);
+        this.storageChangeHandler = (changes, origin) => {
+            if (origin !== 'local' && changes.has('keyBindings')) {
+                this.loadOverrides();
+                this.notifyChange();
+            }
+        };
+        document.addEventListener('keydown', this.keydownHandler);
+        StorageManager.addChangeListener(this.storageChangeHandler);
+    }
+
+    // command: { id, title, category, shortcuts: ['Ctrl+K'], when: () => boolean, run: () => void }
+    register(command) {
+        this.commands.set(command.id, Object.assign({ category: 'General', shortcuts: [] }, command));
+    }
+
+    getCommands() {
+        return Array.from(this.commands.values());
+    }
+
+    run(id) {
+        const command = this.commands.get(id);
+        if (command) command.run();
+    }
+
+    onChange(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    notifyChange() {
+        this.changeListeners.forEach(listener => listener());
+    }
+
+    loadOverrides() {
+        try {
+            const overrides = JSON.parse(StorageManager.getFromLocalStorage('keyBindings', '{}'));
+            this.overrides = overrides && typeof overrides === 'object' ? overrides : {};
+        } catch (error) {
+            console.error('Failed to read keyboard shortcuts.', error);
+            this.overrides = {};
+        }
+    }
+
+    saveOverrides() {
+        StorageManager.saveToLocalStorage('keyBindings', JSON.stringify(this.overrides));
+        this.notifyChange();
+    }
+
+    getShortcuts(id) {
+        if (Array.isArray(this.overrides[id])) return this.overrides[id];
+        const command = this.commands.get(id);
+        return command ? command.shortcuts : [];
+    }
+
+    isCustomized(id) {
+        return Array.isArray(this.overrides[id]);
+    }
+
+    findCommandByShortcut(shortcut) {
+        return this.getCommands().find(command => this.getShortcuts(command.id).includes(shortcut)) || null;
     }
 
-    saveLanguage() {
-        const selectedLanguage = this.selectElement.value;
-        StorageManager.saveToLocalStorage('translationLanguage', selectedLanguage);
+    // Binds the shortcut to one command only, returning the command it was taken from
+    setShortcut(id, shortcut) {
+        const previous = shortcut ? this.findCommandByShortcut(shortcut) : null;
+        if (previous && previous.id !== id) {
+            this.overrides[previous.id] = this.getShortcuts(previous.id).filter(other => other !== shortcut);
+        }
+        this.overrides[id] = shortcut ? [shortcut] : [];
+        this.saveOverrides();
+        return previous && previous.id !== id ? previous : null;
     }
 
-    getSelectedLanguage() {
-        return this.selectElement.value;
+    resetShortcut(id) {
+        delete this.overrides[id];
+        this.saveOverrides();
     }
-}
 
-class ApiKeyManager {
-  constructor() {
-    this.modal = document.getElementById('apiKeyModal');
-    this.apiKeyInput = document.getElementById('apiKeyInput');
-    this.saveBtn = document.getElementById('saveApiKeyBtn');
-    this.closeBtn = document.getElementById('closeModalBtn');
-    this.settingsBtn = document.getElementById('settingsButton');
+    resetAll() {
+        this.overrides = {};
+        this.saveOverrides();
+    }
 
-    this.bindEvents();
-  }
+    // Canonical form of a key press, e.g. "Ctrl+Shift+F"; Cmd counts as Ctrl. Letters and digits use the
+    // physical key so Alt combinations work on every keyboard layout.
+    static shortcutFromEvent(event) {
+        if (CommandRegistry.modifierKeys.includes(event.key)) return null;
 
-  bindEvents() {
-    this.settingsBtn.addEventListener('click', () => {
-      this.showModal();
-    });
-    this.saveBtn.addEventListener('click', () => {
-      this.saveApiKey();
-    });
-    this.closeBtn.addEventListener('click', () => {
-      this.hideModal();
-    });
-    this.modal.addEventListener('click', (event) => {
-      if (event.target === this.modal) {
-        this.hideModal();
-      }
-    });
-  }
+        let key;
+        if (/^Key[A-Z]$/.test(event.code)) {
+            key = event.code.slice(3);
+        } else if (/^Digit\d$/.test(event.code)) {
+            key = event.code.slice(5);
+        } else if (event.code === 'Equal' || event.code === 'NumpadAdd') {
+            key = '=';
+        } else if (event.code === 'Minus' || event.code === 'NumpadSubtract') {
+            key = '-';
+        } else if (event.key === ' ') {
+            key = 'Space';
+        } else {
+            key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+        }
 
-  showModal() {
-    const existingKey = StorageManager.getFromLocalStorage('apiKey');
-    if (existingKey) {
-      this.apiKeyInput.value = existingKey;
-    } else {
-      this.apiKeyInput.value = '';
+        const parts = [];
+        if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+        if (event.altKey) parts.push('Alt');
+        if (event.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
     }
-    this.modal.style.display = 'flex';
-  }
 
-  hideModal() {
-    this.modal.style.display = 'none';
-  }
+    handleKeydown(event) {
+        if (this.paused || event.defaultPrevented) return;
 
-  saveApiKey() {
-    const key = this.apiKeyInput.value.trim();
-    if (key) {
-      StorageManager.saveToLocalStorage('apiKey', key);
-      alert('API Key saved successfully!');
-      this.hideModal();
-    } else {
-      alert('Please enter a valid API key.');
+        const shortcut = CommandRegistry.shortcutFromEvent(event);
+        if (!shortcut) return;
+
+        const command = this.findCommandByShortcut(shortcut);
+        if (!command || (command.when && !command.when())) return;
+
+        event.preventDefault();
+        command.run();
+    }
+
+    cleanup() {
+        document.removeEventListener('keydown', this.keydownHandler);
+        StorageManager.removeChangeListener(this.storageChangeHandler);
     }
-  }
 }
 
-class SectionManager {
-    constructor() {
-        this.currentSectionElement = null;
-        this.currentNoteId = null;
-        this.activeSection = null;
-        this.translationManager = null;
-        this.aiNoteElements = document.querySelectorAll('.ai-note');
-        this.apiKeyManager = null;
-        this.apiCache = {};
-        this.pollingTimeout = null;
+// CommandPalette Class: Ctrl+K palette that fuzzy-searches and runs every registered command
+class CommandPalette {
+    constructor(registry) {
+        this.registry = registry;
+        this.results = [];
+        this.selectedIndex = 0;
+
+        this.palette = document.getElementById('commandPalette');
+        this.input = document.getElementById('commandInput');
+        this.resultsElement = document.getElementById('commandResults');
 
         this.bindEvents();
     }
 
     bindEvents() {
-        this.aiNoteElements.forEach(element => {
-            element.addEventListener('input', () => {
-                this.saveSectionContent();
-            });
+        this.input.addEventListener('input', () => this.runSearch());
+        this.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+        this.palette.addEventListener('click', (event) => {
+            if (event.target === this.palette) {
+                this.close();
+            }
         });
-
-        document.getElementById('aiWriteButton').addEventListener('click', () => {
-            this.handleAiWrite();
+        this.resultsElement.addEventListener('click', (event) => {
+            const item = event.target.closest('.command-result');
+            if (item) {
+                this.runResult(parseInt(item.dataset.index, 10));
+            }
         });
     }
-    
-    async generateCacheKey(content) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(content);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        
-        return `${this.activeSection}-${this.currentNoteId}-${hashHex.substring(0, 16)}-${
-            this.activeSection === 'translation' ? this.translationManager.getSelectedLanguage() : ''}`;
+
+    // Matches the query characters in order; consecutive matches and matches at word starts score higher.
+    // Returns null when the text doesn't contain every character of the query.
+    static fuzzyMatch(query, text) {
+        const lowerQuery = query.toLowerCase().replace(/\s+/g, '');
+        const lowerText = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let textIndex = 0;
+
+        for (const char of lowerQuery) {
+            const found = lowerText.indexOf(char, textIndex);
+            if (found === -1) return null;
+
+            const previous = positions[positions.length - 1];
+            score += 1;
+            if (previous !== undefined && found === previous + 1) score += 3;
+            if (found === 0 || /[\s:/-]/.test(lowerText[found - 1])) score += 2;
+            score -= (found - textIndex) * 0.05;
+            positions.push(found);
+            textIndex = found + 1;
+        }
+        return { score: score - text.length * 0.01, positions };
     }
 
-    setNoteId(noteId) {
-        this.currentNoteId = noteId;
-        this.loadSectionContent(this.activeSection);
+    isOpen() {
+        return this.palette.style.display === 'flex';
     }
-    
-    setTranslationManager(manager) {
-        this.translationManager = manager;
+
+    open() {
+        this.palette.style.display = 'flex';
+        this.input.value = '';
+        this.input.focus();
+        this.runSearch();
     }
 
-    setApiKeyManager(manager) {
-        this.apiKeyManager = manager;
+    close() {
+        this.palette.style.display = 'none';
     }
 
-    switchSection(section) {
-        this.activeSection = section;
-        const newSectionElement = document.querySelector(`.rightTabContent#${section} .ai-note`);
-        
-        if (!newSectionElement) {
-            return;
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
         }
-
-        this.currentSectionElement = newSectionElement;
-        this.loadSectionContent(section);
     }
-    
-    async handleAiWrite() {
-        if (this.activeSection === null) return;
-        
-        if (this.pollingTimeout) {
-            clearTimeout(this.pollingTimeout);
-        }
 
-        const apiKey = StorageManager.getFromLocalStorage('apiKey');
-        if (!apiKey) {
-            this.apiKeyManager.showModal();
-            return;
+    handleInputKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectResult(Math.min(Math.max(this.selectedIndex + step, 0), this.results.length - 1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runResult(this.selectedIndex);
         }
+    }
 
-        const noteContent = document.getElementById('note').innerText.trim();
-        if (!noteContent) {
-            alert('Please write some content in the main notepad first.');
-            return;
+    runSearch() {
+        const query = this.input.value.trim();
+        const commands = this.registry.getCommands().filter(command => !command.when || command.when());
+        if (!query) {
+            this.results = commands.map(command => ({ command, positions: [], offset: 0 }));
+        } else {
+            this.results = commands
+                .map(command => {
+                    const titleMatch = CommandPalette.fuzzyMatch(query, command.title);
+                    const prefix = `${command.category}: `;
+                    const match = titleMatch || CommandPalette.fuzzyMatch(query, prefix + command.title);
+                    // offset maps the match positions back onto the title
+                    return match && { command, score: match.score, positions: match.positions, offset: titleMatch ? 0 : prefix.length };
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score);
         }
-        
-        const cacheKey = await this.generateCacheKey(noteContent);
+        this.renderResults();
+    }
 
-        if (this.apiCache[cacheKey]) {
-            this.setContent(this.currentSectionElement, this.apiCache[cacheKey]);
-            this.saveSectionContent();
+    renderResults() {
+        this.resultsElement.replaceChildren();
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matching commands';
+            this.resultsElement.appendChild(empty);
             return;
         }
-        
-        this.currentSectionElement.innerText = 'Loading...';
-
-        try {
-            let apiPath;
-            let requestBody = { content: noteContent };
-
-            switch (this.activeSection) {
-                case 'summary':
-                    apiPath = '/v1/content/summarize';
-                    break;
-                case 'translation':
-                    apiPath = '/v1/content/translate';
-                    requestBody.language = this.translationManager.getSelectedLanguage();
-                    break;
-                case 'grammar':
-                    apiPath = '/v1/content/proofread';
-                    break;
-                case 'rewriting':
-                    apiPath = '/v1/content/paraphrase';
-                    break;
-                case 'keywords':
-                    apiPath = '/v1/content/keywords';
-                    break;
-                default:
-                    this.currentSectionElement.innerText = 'Function not implemented for this section.';
-                    return;
-            }
-            
-            const response = await this.callSharpApi('POST', apiPath, apiKey, requestBody);
-            
-            if (response.status_url) {
-                this.currentSectionElement.innerText = 'Job accepted. Waiting for result...';
-                this.pollForStatus(response.status_url, apiKey, cacheKey);
-            }
 
-        } catch (error) {
-            this.currentSectionElement.innerText = `Error: ${error.message}`;
-        }
-    }
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'command-result';
+            item.dataset.index = index;
 
-    async pollForStatus(statusUrl, apiKey, cacheKey, retries = 0) {
-        const maxRetries = 10;
-        const pollInterval = 3000;
+            const title = document.createElement('span');
+            title.className = 'command-title';
+            const category = document.createElement('span');
+            category.className = 'command-category';
+            category.textContent = `${result.command.category}: `;
+            title.appendChild(category);
 
-        if (retries >= maxRetries) {
-            this.currentSectionElement.innerText = 'Job timed out. Please try again.';
-            return;
-        }
-        
-        try {
-            const response = await this.callSharpApi('GET', statusUrl, apiKey);
-
-            if (response.data.attributes.status === 'completed' || response.data.attributes.status === 'success') {
-                const result = JSON.parse(response.data.attributes.result);
-                
-                let finalResult = 'No result found.';
-                if (this.activeSection === 'summary') {
-                    finalResult = result.summary || 'No summary found.';
-                } else if (this.activeSection === 'translation') {
-                    finalResult = result.content || 'No translation found.';
-                } else if (this.activeSection === 'grammar') {
-                    finalResult = result.proofread || 'No proofread result found.';
-                } else if (this.activeSection === 'rewriting') {
-                    finalResult = result.paraphrase || 'No rewritten text found.';
-                } else if (this.activeSection === 'keywords') {
-                    if (Array.isArray(result)) {
-                        finalResult = result.join(', ');
-                    } else {
-                        finalResult = 'No keywords found.';
-                    }
+            const positions = new Set(result.positions);
+            Array.from(result.command.title).forEach((char, charIndex) => {
+                if (positions.has(charIndex + result.offset)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = char;
+                    title.appendChild(mark);
+                } else {
+                    title.appendChild(document.createTextNode(char));
                 }
+            });
+            item.appendChild(title);
 
-                this.setContent(this.currentSectionElement, finalResult);
-                this.apiCache[cacheKey] = finalResult;
-                this.saveSectionContent();
-                return;
-            } else if (response.data.attributes.status === 'failed') {
-                this.currentSectionElement.innerText = `Job failed: ${response.data.attributes.message || 'Unknown error'}`;
-                return;
+            this.registry.getShortcuts(result.command.id).forEach(shortcut => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = shortcut;
+                item.appendChild(kbd);
+            });
+            this.resultsElement.appendChild(item);
+        });
+        this.selectResult(0);
+    }
+
+    selectResult(index) {
+        this.selectedIndex = index;
+        this.resultsElement.querySelectorAll('.command-result').forEach((item, i) => {
+            item.classList.toggle('selected', i === index);
+            if (i === index) {
+                item.scrollIntoView({ block: 'nearest' });
             }
-            
-            this.pollingTimeout = setTimeout(() => this.pollForStatus(statusUrl, apiKey, cacheKey, retries + 1), pollInterval);
+        });
+    }
 
-        } catch (error) {
-            this.currentSectionElement.innerText = `Polling failed: ${error.message}`;
-        }
+    runResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        result.command.run();
     }
-    
-    setContent(element, newText) {
-        element.focus();
-        document.execCommand('selectAll', false, null);
-        document.execCommand('delete', false, null);
-        document.execCommand('insertText', false, newText);
-        this.placeCursorAtEnd(element);
+}
+
+// ShortcutEditor Class: Dialog listing every command's shortcut, where shortcuts are recorded or reset
+class ShortcutEditor {
+    constructor(registry) {
+        this.registry = registry;
+        this.recordingId = null;
+
+        this.modal = document.getElementById('shortcutsModal');
+        this.filterInput = document.getElementById('shortcutFilterInput');
+        this.listElement = document.getElementById('shortcutList');
+        this.messageElement = document.getElementById('shortcutMessage');
+        this.resetAllBtn = document.getElementById('resetShortcutsBtn');
+        this.closeBtn = document.getElementById('closeShortcutsBtn');
+
+        // Runs in the capture phase so the pressed keys don't also trigger their current command
+        this.recordHandler = (e) => this.handleRecordKeydown(e);
+
+        this.bindEvents();
     }
 
-    async callSharpApi(method, path, apiKey, body = null) {
-        const url = path.startsWith('http') ? path : `https://sharpapi.com/api${path}`;
-        
-        const headers = new Headers();
-        headers.append("Accept", "application/json");
-        headers.append("Authorization", `Bearer ${apiKey}`);
-        
-        if (method === 'POST') {
-            headers.append("Content-Type", "application/json");
-        }
-        
-        const requestOptions = {
-            method,
-            headers,
-            body: body ? JSON.stringify(body) : null,
-            redirect: "follow"
-        };
-        
-        try {
-            const response = await fetch(url, requestOptions);
-            const result = await response.json();
+    bindEvents() {
+        this.filterInput.addEventListener('input', () => this.render());
+        this.resetAllBtn.addEventListener('click', () => {
+            if (!confirm('Reset every keyboard shortcut to its default?')) return;
+            this.registry.resetAll();
+            this.showMessage('All shortcuts were reset.');
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) {
+                this.close();
+            }
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.recordingId) {
+                this.close();
+            }
+        });
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
 
-            if (!response.ok && response.status !== 202) {
-                throw new Error(result.message || `API call failed with status ${response.status}`);
+            const id = button.closest('.shortcut-item').dataset.id;
+            if (button.dataset.action === 'record') {
+                this.startRecording(id);
+            } else {
+                this.registry.resetShortcut(id);
             }
-            
-            return result;
-        } catch (error) {
-            throw error;
-        }
+        });
+        this.registry.onChange(() => {
+            if (this.isOpen()) this.render();
+        });
     }
 
-    saveSectionContent() {
-        if (!this.currentNoteId || !this.currentSectionElement || !this.activeSection) return;
-        
-        let key = `${this.currentNoteId}-${this.activeSection}`;
-        if (this.activeSection === 'translation' && this.translationManager) {
-            const language = this.translationManager.getSelectedLanguage();
-            key = `${this.currentNoteId}-${this.activeSection}-${language}`;
-        }
-        
-        const content = this.currentSectionElement.innerText;
-        StorageManager.saveToLocalStorage(key, content);
+    isOpen() {
+        return this.modal.style.display === 'flex';
     }
 
-    loadSectionContent(section) {
-        if (!this.currentNoteId || !section) return;
-        
-        let key = `${this.currentNoteId}-${section}`;
-        if (section === 'translation' && this.translationManager) {
-            const language = this.translationManager.getSelectedLanguage();
-            key = `${this.currentNoteId}-${section}-${language}`;
-        }
-        
-        const content = StorageManager.getFromLocalStorage(key, '');
-        
-        const element = document.querySelector(`.rightTabContent#${section} .ai-note`);
-        if (element) {
-            this.setContent(element, content);
-        }
+    open() {
+        this.modal.style.display = 'flex';
+        this.filterInput.value = '';
+        this.showMessage('');
+        this.render();
+        this.filterInput.focus();
     }
-    
-    clearContent(noteId) {
-        if (this.currentNoteId === noteId) {
-            if (this.currentSectionElement) {
-                this.setContent(this.currentSectionElement, '');
-            }
-        }
+
+    close() {
+        this.stopRecording();
+        this.modal.style.display = 'none';
     }
 
-    placeCursorAtEnd(element) {
-        element.focus();
-        const range = document.createRange();
-        range.selectNodeContents(element);
-        range.collapse(false);
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(range);
+    showMessage(message) {
+        this.messageElement.textContent = message;
     }
-}
 
-// UploadManager Class: Handles file uploads
-class UploadManager {
-    constructor(noteElement, uploadBtnId) {
-        this.noteElement = noteElement;
-        this.uploadBtn = document.getElementById(uploadBtnId);
-        this.bindEvents();
+    startRecording(id) {
+        this.stopRecording();
+        this.recordingId = id;
+        this.registry.paused = true;
+        document.addEventListener('keydown', this.recordHandler, true);
+        this.showMessage('Press the new shortcut. Escape cancels, Backspace removes the shortcut.');
+        this.render();
     }
 
-    bindEvents() {
-        this.uploadBtn.addEventListener('click', () => this.triggerUpload());
+    stopRecording() {
+        if (!this.recordingId) return;
+
+        this.recordingId = null;
+        this.registry.paused = false;
+        document.removeEventListener('keydown', this.recordHandler, true);
     }
 
-    triggerUpload() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.txt'; // Restrict to text files
-        input.onchange = (e) => this.handleFileSelect(e);
-        input.click();
+    handleRecordKeydown(e) {
+        if (CommandRegistry.modifierKeys.includes(e.key)) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.recordingId;
+        const command = this.registry.commands.get(id);
+        const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+        if (e.key === 'Escape' && !hasModifier && !e.shiftKey) {
+            this.stopRecording();
+            this.showMessage('');
+        } else if ((e.key === 'Backspace' || e.key === 'Delete') && !hasModifier && !e.shiftKey) {
+            this.stopRecording();
+            this.registry.setShortcut(id, null);
+            this.showMessage(`${command.title} has no shortcut now.`);
+        } else if (!hasModifier && !/^F\d{1,2}$/.test(e.key)) {
+            this.showMessage('Shortcuts need Ctrl, Alt or Cmd, unless they use a function key (F1–F12).');
+        } else {
+            const shortcut = CommandRegistry.shortcutFromEvent(e);
+            this.stopRecording();
+            const previous = this.registry.setShortcut(id, shortcut);
+            this.showMessage(previous
+                ? `${shortcut} now runs ${command.title} instead of ${previous.title}.`
+                : `${shortcut} now runs ${command.title}.`);
+        }
+        this.render();
     }
 
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const content = e.target.result;
-            this.noteElement.innerText = content;
-            // You may want to trigger a save or update here if needed.
-            // For example, this.tabManager.saveCurrentTabContent();
-        };
-        reader.readAsText(file);
+    render() {
+        const filter = this.filterInput.value.trim().toLowerCase();
+        const commands = this.registry.getCommands().filter(command =>
+            !filter || `${command.category} ${command.title}`.toLowerCase().includes(filter));
+
+        this.listElement.replaceChildren(...commands.map(command => {
+            const item = document.createElement('li');
+            item.className = 'shortcut-item';
+            item.dataset.id = command.id;
+
+            const title = document.createElement('span');
+            title.className = 'shortcut-title';
+            title.textContent = `${command.category}: ${command.title}`;
+            item.appendChild(title);
+
+            const shortcuts = this.registry.getShortcuts(command.id);
+            const recordBtn = document.createElement('button');
+            recordBtn.type = 'button';
+            recordBtn.dataset.action = 'record';
+            recordBtn.className = 'shortcut-key';
+            recordBtn.classList.toggle('recording', this.recordingId === command.id);
+            recordBtn.textContent = this.recordingId === command.id ? 'Press keys…' : (shortcuts.join(' / ') || 'None');
+            recordBtn.title = 'Click to change';
+            item.appendChild(recordBtn);
+
+            if (this.registry.isCustomized(command.id)) {
+                const resetBtn = document.createElement('button');
+                resetBtn.type = 'button';
+                resetBtn.dataset.action = 'reset';
+                resetBtn.textContent = '↺';
+                resetBtn.title = `Reset to ${command.shortcuts.join(' / ') || 'no shortcut'}`;
+                item.appendChild(resetBtn);
+            }
+            return item;
+        }));
+    }
+
+    cleanup() {
+        this.stopRecording();
     }
 }
 
@@ -992,21 +8045,43 @@ class NoteApp {
         this.decreaseFont = document.getElementById('decreaseFont');
 
         this.darkModeManager = new DarkModeManager("#darkModeToggle");
-        this.lintingManager = new LintingManager(this.note, this.lineNumbers);
         this.sectionManager = new SectionManager();
         this.tabManager = new TabManager(this.note, this.lineNumbers, this.sectionManager);
         this.fontManager = new FontManager(this.note, this.lineNumbers);
         this.aiTabs = new AiTabs(".rightTab", ".rightTabContent", this.sectionManager);
         this.translationManager = new TranslationManager(this.sectionManager);
         this.apiKeyManager = new ApiKeyManager();
-        this.uploadManager = new UploadManager(this.note, 'uploadBtn');
+        this.aiUsageManager = new AiUsageManager();
+        this.uploadManager = new UploadManager(this.note, 'uploadBtn', this.tabManager);
+        this.syncManager = new SyncManager(this.tabManager);
+        this.markdownManager = new MarkdownManager(this.note, this.tabManager);
+        this.searchManager = new SearchManager(this.note, this.tabManager, this.aiTabs, this.translationManager);
+        this.findReplaceManager = new FindReplaceManager(this.note, this.tabManager);
+        this.syntaxManager = new SyntaxManager(this.note, this.tabManager);
+        this.lintingManager = new LintingManager(this.note, this.lineNumbers, this.tabManager, this.syntaxManager, this.markdownManager);
+        this.snapshotManager = new SnapshotManager(this.note, this.tabManager);
+        this.trashManager = new TrashManager(this.tabManager);
+        this.workspaceManager = new WorkspaceManager(this.tabManager, this.trashManager, this.snapshotManager);
+        this.exportManager = new ExportManager(this.note, this.tabManager, this.markdownManager, this.translationManager);
+        this.statusBarManager = new StatusBarManager(this.note, this.tabManager, this.syntaxManager, this.markdownManager);
+        this.notebookManager = new NotebookManager(this.tabManager);
+        this.reviewManager = new ReviewManager(this.note, this.tabManager);
+        this.aiContextMenu = new AiContextMenu(this.note, this.sectionManager, this.aiTabs);
+        this.commandRegistry = new CommandRegistry();
+        this.commandPalette = new CommandPalette(this.commandRegistry);
+        this.shortcutEditor = new ShortcutEditor(this.commandRegistry);
 
         this.sectionManager.setTranslationManager(this.translationManager);
         this.sectionManager.setApiKeyManager(this.apiKeyManager);
+        this.sectionManager.setUsageManager(this.aiUsageManager);
+        this.sectionManager.setTabManager(this.tabManager);
+        this.uploadManager.setSnapshotManager(this.snapshotManager);
+        this.uploadManager.setModeManagers(this.markdownManager, this.syntaxManager);
+        this.tabManager.setTrashManager(this.trashManager);
+        this.registerCommands();
 
         this.debouncedInputHandler = debounce(() => {
             this.tabManager.saveCurrentTabContent();
-            this.lintingManager.updateLineNumbers();
         }, 500);
 
         this.pasteHandler = (e) => this.handlePaste(e);
@@ -1018,7 +8093,6 @@ class NoteApp {
         this.mouseUpHandler = () => this.fontManager.stopFontChange();
         this.downloadClickHandler = () => this.download();
         this.printClickHandler = () => this.print();
-        this.aiWriteClickHandler = () => this.sectionManager.handleAiWrite();
 
         this.bindEvents();
     }
@@ -1036,8 +8110,6 @@ class NoteApp {
 
         this.downloadBtn.addEventListener('click', this.downloadClickHandler);
         this.printBtn.addEventListener('click', this.printClickHandler);
-
-        document.getElementById('aiWriteButton').addEventListener('click', this.aiWriteClickHandler);
     }
 
     cleanup() {
@@ -1054,13 +8126,76 @@ class NoteApp {
         this.downloadBtn.removeEventListener('click', this.downloadClickHandler);
         this.printBtn.removeEventListener('click', this.printClickHandler);
 
-        document.getElementById('aiWriteButton').removeEventListener('click', this.aiWriteClickHandler);
-
         this.lintingManager.cleanup();
         this.tabManager.cleanup();
+        this.snapshotManager.cleanup();
+        this.trashManager.cleanup();
+        this.syntaxManager.cleanup();
+        this.statusBarManager.cleanup();
+        this.notebookManager.cleanup();
+        this.commandRegistry.cleanup();
+        this.shortcutEditor.cleanup();
+        this.aiContextMenu.cleanup();
+        this.aiTabs.cleanup();
+        this.sectionManager.cleanup();
         this.fontManager.stopFontChange();
     }
 
+    registerCommands() {
+        const noteFocused = () => document.activeElement === this.note;
+        const runAi = (section) => {
+            this.aiTabs.switchTab(document.querySelector(`.rightTab[data-tab="${section}"]`));
+            this.sectionManager.handleAiWrite();
+        };
+        const currentTab = () => this.tabManager.getCurrentTab();
+
+        [
+            { id: 'palette.open', category: 'General', title: 'Command Palette', shortcuts: ['Ctrl+K'], run: () => this.commandPalette.toggle() },
+            { id: 'shortcuts.edit', category: 'General', title: 'Keyboard Shortcuts', run: () => this.shortcutEditor.open() },
+            { id: 'tab.new', category: 'Tabs', title: 'New Note', shortcuts: ['Ctrl+T'], run: () => this.tabManager.createNewTab() },
+            { id: 'tab.close', category: 'Tabs', title: 'Close Note', shortcuts: ['Ctrl+W'], run: () => this.tabManager.closeTab(this.tabManager.currentTabIndex) },
+            { id: 'tab.next', category: 'Tabs', title: 'Next Tab', shortcuts: ['Ctrl+Tab'], run: () => this.tabManager.cycleTab(1) },
+            { id: 'tab.previous', category: 'Tabs', title: 'Previous Tab', shortcuts: ['Ctrl+Shift+Tab'], run: () => this.tabManager.cycleTab(-1) },
+            { id: 'tab.rename', category: 'Tabs', title: 'Rename Note', shortcuts: ['F2'], run: () => {
+                const tabElement = this.tabManager.tabContainer.querySelector('.tab.active');
+                if (tabElement) this.tabManager.startRename(currentTab(), tabElement);
+            } },
+            { id: 'tab.pin', category: 'Tabs', title: 'Pin or Unpin Note', when: () => Boolean(currentTab()), run: () => this.tabManager.setTabPinned(currentTab(), !currentTab().pinned) },
+            { id: 'tab.all', category: 'Tabs', title: 'Show All Tabs', run: () => this.tabManager.toggleAllTabsMenu() },
+            { id: 'tab.trash', category: 'Tabs', title: 'Open Recycle Bin', run: () => this.trashManager.open() },
+            { id: 'edit.undo', category: 'Edit', title: 'Undo', shortcuts: ['Ctrl+Z'], when: noteFocused, run: () => this.tabManager.undo() },
+            { id: 'edit.redo', category: 'Edit', title: 'Redo', shortcuts: ['Ctrl+Y', 'Ctrl+Shift+Z'], when: noteFocused, run: () => this.tabManager.redo() },
+            { id: 'edit.find', category: 'Edit', title: 'Find in Note', shortcuts: ['Ctrl+F'], run: () => this.findReplaceManager.open() },
+            { id: 'edit.replace', category: 'Edit', title: 'Find and Replace', shortcuts: ['Ctrl+H'], run: () => this.findReplaceManager.open(true) },
+            { id: 'edit.format', category: 'Edit', title: 'Format Document', shortcuts: ['Alt+Shift+F'], run: () => this.lintingManager.formatDocument() },
+            { id: 'search.all', category: 'Search', title: 'Search All Notes', shortcuts: ['Ctrl+Shift+F'], run: () => this.searchManager.open() },
+            { id: 'view.zoomIn', category: 'View', title: 'Increase Font Size', shortcuts: ['Ctrl+='], run: () => this.fontManager.adjustFontSize(2) },
+            { id: 'view.zoomOut', category: 'View', title: 'Decrease Font Size', shortcuts: ['Ctrl+-'], run: () => this.fontManager.adjustFontSize(-2) },
+            { id: 'view.darkMode', category: 'View', title: 'Toggle Dark Mode', run: () => this.darkModeManager.flip() },
+            { id: 'view.markdown', category: 'View', title: 'Toggle Markdown Mode', run: () => this.markdownManager.toggleMarkdown() },
+            { id: 'view.preview', category: 'View', title: 'Switch Markdown Preview Layout', when: () => this.markdownManager.isMarkdown(), run: () => this.markdownManager.toggleLayout() },
+            { id: 'view.sidebar', category: 'View', title: 'Toggle Notebooks and Tags', run: () => this.notebookManager.toggle() },
+            { id: 'ai.run', category: 'AI', title: 'Run AI on Current Section', shortcuts: ['Ctrl+Enter'], run: () => this.sectionManager.handleAiWrite() },
+            { id: 'ai.summary', category: 'AI', title: 'Summarize Text', run: () => runAi('summary') },
+            { id: 'ai.translation', category: 'AI', title: 'Translate Text', run: () => runAi('translation') },
+            { id: 'ai.grammar', category: 'AI', title: 'Correct Grammar', run: () => runAi('grammar') },
+            { id: 'ai.rewriting', category: 'AI', title: 'Rewrite Text', run: () => runAi('rewriting') },
+            { id: 'ai.keywords', category: 'AI', title: 'Find Keywords', run: () => runAi('keywords') },
+            { id: 'ai.review', category: 'AI', title: 'Review Grammar or Rewrite Changes', run: () => {
+                this.reviewManager.open(this.sectionManager.activeSection === 'rewriting' ? 'rewriting' : 'grammar');
+            } },
+            { id: 'ai.cancel', category: 'AI', title: 'Cancel AI Jobs for This Note', run: () => this.sectionManager.cancelNoteJobs() },
+            { id: 'ai.keywordsToTags', category: 'AI', title: 'Add Keywords as Tags', run: () => this.notebookManager.addKeywordsAsTags() },
+            { id: 'ai.usage', category: 'AI', title: 'AI Usage and Cache', run: () => this.aiUsageManager.open() },
+            { id: 'ai.settings', category: 'AI', title: 'AI Settings', run: () => this.apiKeyManager.showModal() },
+            { id: 'file.import', category: 'File', title: 'Import Files', run: () => this.uploadManager.triggerUpload() },
+            { id: 'file.export', category: 'File', title: 'Export Note', run: () => this.download() },
+            { id: 'file.print', category: 'File', title: 'Print Note', run: () => this.print() },
+            { id: 'file.history', category: 'File', title: 'Version History', run: () => this.snapshotManager.open() },
+            { id: 'file.backup', category: 'File', title: 'Workspace Backup', run: () => this.workspaceManager.open() }
+        ].forEach(command => this.commandRegistry.register(command));
+    }
+
     handlePaste(event) {
         event.preventDefault();
         const plainText = (event.clipboardData || window.clipboardData).getData('text');
@@ -1076,29 +8211,15 @@ class NoteApp {
     }
 
     download() {
-        const text = this.note.innerText;
-        const blob = new Blob([text], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `note-${new Date().toISOString()}.txt`;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.exportManager.open();
     }
 
     print() {
-        const noteContent = this.note.innerText;
-        const printWindow = window.open('', '_blank');
-        const body = printWindow.document.body;
-        const pre = printWindow.document.createElement('pre');
-        pre.textContent = noteContent;
-        body.appendChild(pre);
-        printWindow.focus();
-        printWindow.print();
-        printWindow.close();
+        this.exportManager.print();
     }
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+    await StorageManager.init();
     const app = new NoteApp();
 });
\ No newline at end of file